@@ -0,0 +1,398 @@
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const Appointment = require('../models/Appointment');
+const { revokeAllSessions } = require('../utils/tokenUtils');
+const { getPagination } = require('../utils/pagination');
+const { containsPattern } = require('../utils/searchUtils');
+
+/**
+ * Turn [{ _id, count }] aggregation output into { [_id]: count }
+ * @param {Array} groups - Aggregation result
+ * @returns {Object} Counts by key
+ */
+const toCounts = (groups) => groups.reduce((counts, group) => {
+    counts[group._id] = group.count;
+    return counts;
+}, {});
+
+/**
+ * @desc    List and search users
+ * @route   GET /api/admin/users?search=&role=&status=&page=&limit=
+ * @access  Private (admin role only)
+ */
+const getUsers = async (req, res) => {
+    try {
+        const { search, role, status } = req.query;
+        const { page, limit, skip } = getPagination(req.query);
+
+        const query = {};
+        if (search) {
+            const pattern = containsPattern(search);
+            query.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+        }
+        if (role) {
+            query.role = role;
+        }
+        if (status) {
+            query.status = status;
+        }
+
+        const [users, total] = await Promise.all([
+            User.find(query)
+                .select('name email phone role status emailVerified suspendedAt suspensionReason createdAt')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            User.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: users.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: { users }
+        });
+    } catch (error) {
+        console.error('Admin get users error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Suspend a user and end their sessions
+ * @route   PUT /api/admin/users/:id/suspend
+ * @access  Private (admin role only)
+ */
+const suspendUser = async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        if (req.params.id === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot suspend your own account'
+            });
+        }
+
+        const user = await User.findByIdAndUpdate(
+            req.params.id,
+            { $set: { status: 'suspended', suspendedAt: new Date(), suspensionReason: reason } },
+            { new: true }
+        ).select('name email role status suspendedAt suspensionReason');
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        await revokeAllSessions(user._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'User suspended successfully',
+            data: { user }
+        });
+    } catch (error) {
+        console.error('Admin suspend user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Reactivate a suspended user
+ * @route   PUT /api/admin/users/:id/reactivate
+ * @access  Private (admin role only)
+ */
+const reactivateUser = async (req, res) => {
+    try {
+        const user = await User.findByIdAndUpdate(
+            req.params.id,
+            { $set: { status: 'active' }, $unset: { suspendedAt: 1, suspensionReason: 1 } },
+            { new: true }
+        ).select('name email role status');
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'User reactivated successfully',
+            data: { user }
+        });
+    } catch (error) {
+        console.error('Admin reactivate user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    List and search organizations, including suspended ones
+ * @route   GET /api/admin/organizations?search=&status=&verified=&category=&page=&limit=
+ * @access  Private (admin role only)
+ */
+const getOrganizations = async (req, res) => {
+    try {
+        const { search, status, verified, category } = req.query;
+        const { page, limit, skip } = getPagination(req.query);
+
+        const query = {};
+        if (search) {
+            const pattern = containsPattern(search);
+            query.$or = [{ organizationName: pattern }, { address: pattern }, { phone: pattern }];
+        }
+        if (status) {
+            query.status = status;
+        }
+        if (verified !== undefined) {
+            query.isVerified = verified === 'true';
+        }
+        if (category) {
+            query.category = category;
+        }
+
+        const [organizations, total] = await Promise.all([
+            Organization.find(query)
+                .select('organizationName category address phone status isVerified verifiedAt suspendedAt suspensionReason createdAt userId')
+                .populate('userId', 'name email phone')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            Organization.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: organizations.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: { organizations }
+        });
+    } catch (error) {
+        console.error('Admin get organizations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Suspend an organization
+ * @route   PUT /api/admin/organizations/:id/suspend
+ * @access  Private (admin role only)
+ */
+const suspendOrganization = async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        const organization = await Organization.findByIdAndUpdate(
+            req.params.id,
+            { $set: { status: 'suspended', suspendedAt: new Date(), suspensionReason: reason } },
+            { new: true }
+        ).select('organizationName status suspendedAt suspensionReason isVerified');
+
+        if (!organization) {
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Organization suspended successfully',
+            data: { organization }
+        });
+    } catch (error) {
+        console.error('Admin suspend organization error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Reactivate a suspended organization
+ * @route   PUT /api/admin/organizations/:id/reactivate
+ * @access  Private (admin role only)
+ */
+const reactivateOrganization = async (req, res) => {
+    try {
+        const organization = await Organization.findByIdAndUpdate(
+            req.params.id,
+            { $set: { status: 'active' }, $unset: { suspendedAt: 1, suspensionReason: 1 } },
+            { new: true }
+        ).select('organizationName status isVerified');
+
+        if (!organization) {
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Organization reactivated successfully',
+            data: { organization }
+        });
+    } catch (error) {
+        console.error('Admin reactivate organization error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Mark an organization as verified, or remove the mark with { verified: false }
+ * @route   PUT /api/admin/organizations/:id/verify
+ * @access  Private (admin role only)
+ */
+const verifyOrganization = async (req, res) => {
+    try {
+        const verified = req.body.verified !== false;
+        const update = verified
+            ? { $set: { isVerified: true, verifiedAt: new Date() } }
+            : { $set: { isVerified: false }, $unset: { verifiedAt: 1 } };
+
+        const organization = await Organization.findByIdAndUpdate(req.params.id, update, { new: true })
+            .select('organizationName status isVerified verifiedAt');
+
+        if (!organization) {
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: verified ? 'Organization verified successfully' : 'Organization verification removed',
+            data: { organization }
+        });
+    } catch (error) {
+        console.error('Admin verify organization error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get platform-wide statistics
+ * @route   GET /api/admin/stats?days=30
+ * @access  Private (admin role only)
+ */
+const getPlatformStats = async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+        const [
+            usersByRole,
+            usersByStatus,
+            organizationsByStatus,
+            verifiedOrganizations,
+            appointmentsByStatus,
+            appointmentsBySource,
+            bookingsPerDay,
+            topOrganizations
+        ] = await Promise.all([
+            User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
+            User.aggregate([{ $group: { _id: { $ifNull: ['$status', 'active'] }, count: { $sum: 1 } } }]),
+            Organization.aggregate([{ $group: { _id: { $ifNull: ['$status', 'active'] }, count: { $sum: 1 } } }]),
+            Organization.countDocuments({ isVerified: true }),
+            Appointment.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+            Appointment.aggregate([{ $group: { _id: { $ifNull: ['$source', 'online'] }, count: { $sum: 1 } } }]),
+            Appointment.aggregate([
+                { $match: { createdAt: { $gte: since } } },
+                { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, count: { $sum: 1 } } },
+                { $sort: { _id: 1 } }
+            ]),
+            Appointment.aggregate([
+                { $match: { createdAt: { $gte: since } } },
+                { $group: { _id: '$organizationId', count: { $sum: 1 } } },
+                { $sort: { count: -1 } },
+                { $limit: 10 },
+                { $lookup: { from: 'organizations', localField: '_id', foreignField: '_id', as: 'organization' } },
+                { $unwind: '$organization' },
+                { $project: { _id: 0, organizationId: '$_id', organizationName: '$organization.organizationName', count: 1 } }
+            ])
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                stats: {
+                    users: {
+                        total: usersByRole.reduce((sum, g) => sum + g.count, 0),
+                        byRole: toCounts(usersByRole),
+                        byStatus: toCounts(usersByStatus)
+                    },
+                    organizations: {
+                        total: organizationsByStatus.reduce((sum, g) => sum + g.count, 0),
+                        byStatus: toCounts(organizationsByStatus),
+                        verified: verifiedOrganizations
+                    },
+                    appointments: {
+                        total: appointmentsByStatus.reduce((sum, g) => sum + g.count, 0),
+                        byStatus: toCounts(appointmentsByStatus),
+                        bySource: toCounts(appointmentsBySource)
+                    },
+                    recent: {
+                        days,
+                        bookingsPerDay: bookingsPerDay.map(g => ({ date: g._id, count: g.count })),
+                        topOrganizations
+                    }
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Admin stats error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getUsers,
+    suspendUser,
+    reactivateUser,
+    getOrganizations,
+    suspendOrganization,
+    reactivateOrganization,
+    verifyOrganization,
+    getPlatformStats
+};
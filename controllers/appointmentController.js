@@ -1,12 +1,192 @@
+const mongoose = require('mongoose');
 const Appointment = require('../models/Appointment');
 const Organization = require('../models/Organization');
+const User = require('../models/User');
 const {
     calculateQueuePosition,
     calculateEstimatedWaitTime,
-    isSlotAvailable,
-    isWithinWorkingHours,
+    getOccupiedSlots,
+    generateExpertTimeSlots,
+    getExpertDailyCapacity,
+    getTakenSlots,
+    getDailyUsage,
+    summarizeCapacity,
+    getNextFreeSlot,
+    getNextTokenNumber,
+    minutesToTime,
     updateQueuePositions
 } = require('../utils/queueUtils');
+const { DEFAULT_TIMEZONE, isValidDate, getDayBounds, getMinutesOfDay } = require('../utils/dateUtils');
+const { subscribe, publishStatusChange } = require('../utils/queueEvents');
+const { STATUSES, ACTIVE_STATUSES, canTransition } = require('../utils/appointmentStatus');
+const { PERMISSIONS, authorizeOrg } = require('../utils/permissions');
+const { getPagination, decodeCursor, getCursorPage } = require('../utils/pagination');
+const { containsPattern } = require('../utils/searchUtils');
+const { resolveService, getSlotsToHold, validateSlot, createOnlineAppointment } = require('../utils/bookingUtils');
+const { promoteWaitlist } = require('../utils/waitlistUtils');
+const { notifyAppointment } = require('../utils/notifier');
+const { buildAppointmentEvent, buildCalendar, sendCalendar } = require('../utils/icsUtils');
+const { EXPORT_FORMATS, streamAppointmentExport } = require('../utils/exportUtils');
+
+// Newest first for patients, in visiting order for organizations; _id keeps cursors stable
+const USER_LISTING_SORT = { appointmentDate: -1, appointmentTime: -1, _id: -1 };
+const ORGANIZATION_LISTING_SORT = { appointmentDate: 1, appointmentTime: 1, _id: 1 };
+
+// Most registered patients a search matches by name or phone
+const MAX_PATIENT_MATCHES = 1000;
+
+/**
+ * Build an appointmentDate condition covering whole local days in a timezone
+ * @param {String} from - First day (YYYY-MM-DD), optional
+ * @param {String} to - Last day (YYYY-MM-DD), optional
+ * @param {String} timeZone - IANA timezone the days are in
+ * @returns {Object} Mongo range condition
+ */
+const buildDateRange = (from, to, timeZone) => {
+    const range = {};
+    if (from) {
+        range.$gte = getDayBounds(from, timeZone).startOfDay;
+    }
+    if (to) {
+        range.$lte = getDayBounds(to, timeZone).endOfDay;
+    }
+    return range;
+};
+
+/**
+ * Build the filters shared by the appointment listings from query parameters
+ * Dates (from, to, or a single date) are calendar days in the given timezone.
+ * @param {Object} query - Express request query: status, from, to, date, expert, serviceId
+ * @param {String} timeZone - IANA timezone for day boundaries
+ * @returns {Object} { filter } or { error } with a message for a 400 response
+ */
+const buildListingFilter = (query, timeZone) => {
+    const filter = {};
+
+    if (query.status) {
+        const statuses = String(query.status).split(',').map(s => s.trim()).filter(Boolean);
+        const invalid = statuses.filter(s => !STATUSES.includes(s));
+        if (invalid.length > 0) {
+            return { error: `Invalid status: ${invalid.join(', ')}. Must be one of: ${STATUSES.join(', ')}` };
+        }
+        filter.status = { $in: statuses };
+    }
+
+    const from = query.from || query.date;
+    const to = query.to || query.date;
+    for (const value of [from, to]) {
+        if (value && !isValidDate(value)) {
+            return { error: 'Dates must be in YYYY-MM-DD format' };
+        }
+    }
+    if (from && to && from > to) {
+        return { error: 'from must not be after to' };
+    }
+    if (from || to) {
+        filter.appointmentDate = buildDateRange(from, to, timeZone);
+    }
+
+    if (query.expert) {
+        filter.expertName = query.expert;
+    }
+
+    if (query.serviceId) {
+        if (!mongoose.Types.ObjectId.isValid(query.serviceId)) {
+            return { error: 'Invalid serviceId' };
+        }
+        filter.serviceId = query.serviceId;
+    }
+
+    return { filter };
+};
+
+/**
+ * Build the date condition for a patient's own listing. Their appointments span
+ * organizations, so each day is matched in the timezone of the organization it is at.
+ * @param {String} userId - Patient's user id
+ * @param {Object} query - Request query (from, to or date, already validated)
+ * @returns {Promise<Object|null>} Mongo condition, or null when no dates were given
+ */
+const buildUserDateCondition = async (userId, query) => {
+    const from = query.from || query.date;
+    const to = query.to || query.date;
+    if (!from && !to) {
+        return null;
+    }
+
+    const organizationIds = await Appointment.distinct('organizationId', { userId });
+    const organizations = await Organization.find({ _id: { $in: organizationIds } }).select('timezone');
+
+    const timeZones = new Map(organizations.map(o => [o._id.toString(), o.timezone]));
+
+    // Appointments at deleted organizations fall back to the default timezone
+    const idsByTimeZone = new Map();
+    for (const id of organizationIds) {
+        const timeZone = timeZones.get(id.toString()) || DEFAULT_TIMEZONE;
+        if (!idsByTimeZone.has(timeZone)) {
+            idsByTimeZone.set(timeZone, []);
+        }
+        idsByTimeZone.get(timeZone).push(id);
+    }
+
+    if (idsByTimeZone.size === 0) {
+        return { appointmentDate: buildDateRange(from, to, DEFAULT_TIMEZONE) };
+    }
+
+    return {
+        $or: [...idsByTimeZone].map(([timeZone, ids]) => ({
+            organizationId: { $in: ids },
+            appointmentDate: buildDateRange(from, to, timeZone)
+        }))
+    };
+};
+
+/**
+ * Build the query for an organization's appointments from listing query parameters
+ * Adds free-text search on patient name and phone, and scopes experts to their own appointments.
+ * @param {Object} query - Express request query (see buildListingFilter, plus search)
+ * @param {Object} organization - Organization document
+ * @param {Object} membership - Membership from authorizeOrg
+ * @returns {Object} { query } or { error } with a message for a 400 response
+ */
+const buildOrganizationQuery = async (query, organization, membership) => {
+    const { filter, error } = buildListingFilter(query, organization.timezone);
+    if (error) {
+        return { error };
+    }
+
+    // Repeated or bracketed parameters arrive as arrays or objects
+    if (query.search !== undefined && typeof query.search !== 'string') {
+        return { error: 'search must be a single text value' };
+    }
+
+    const result = { ...filter, organizationId: organization._id };
+
+    if (membership.expertName) {
+        result.expertName = membership.expertName;
+    }
+
+    // Match walk-in details and registered patients by name or phone; only this
+    // organization's patients are looked up, not every user on the platform
+    if (query.search && query.search.trim()) {
+        const pattern = containsPattern(query.search);
+        const users = await Appointment.aggregate([
+            { $match: { organizationId: organization._id, userId: { $exists: true } } },
+            { $group: { _id: '$userId' } },
+            { $lookup: { from: User.collection.name, localField: '_id', foreignField: '_id', as: 'user' } },
+            { $match: { $or: [{ 'user.name': pattern }, { 'user.phone': pattern }] } },
+            { $limit: MAX_PATIENT_MATCHES }
+        ]);
+
+        result.$or = [
+            { patientName: pattern },
+            { patientPhone: pattern },
+            { userId: { $in: users.map(u => u._id) } }
+        ];
+    }
+
+    return { query: result };
+};
 
 /**
  * @desc    Book new appointment
@@ -15,10 +195,10 @@ const {
  */
 const bookAppointment = async (req, res) => {
     try {
-        const { organizationId, expertName, serviceName, appointmentDate, appointmentTime, notes } = req.body;
+        const { organizationId, expertName, serviceId, serviceName, appointmentDate, appointmentTime, notes } = req.body;
 
         // Validate required fields
-        if (!organizationId || !expertName || !serviceName || !appointmentDate || !appointmentTime) {
+        if (!organizationId || !expertName || !(serviceId || serviceName) || !appointmentDate || !appointmentTime) {
             return res.status(400).json({
                 success: false,
                 message: 'Please provide all required fields'
@@ -34,34 +214,99 @@ const bookAppointment = async (req, res) => {
             });
         }
 
-        // Check if appointment date is in the future
-        const appointmentDateTime = new Date(appointmentDate);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+        // Check the service is offered by this expert
+        const { service, error: serviceError } = resolveService(organization, serviceId, serviceName, expertName);
+        if (serviceError) {
+            return res.status(serviceError.status).json({
+                success: false,
+                message: serviceError.message
+            });
+        }
 
-        if (appointmentDateTime < today) {
-            return res.status(400).json({
+        // Check date, working hours, expert and slot
+        const slotError = await validateSlot(organization, appointmentDate, appointmentTime, expertName, service.duration);
+        if (slotError) {
+            return res.status(slotError.status).json({
                 success: false,
-                message: 'Cannot book appointment in the past'
+                message: slotError.message
             });
         }
 
-        // Check if within working hours
-        if (!isWithinWorkingHours(
-            organization.workingHours,
+        // Create appointment; the unique slot index rejects a concurrent booking of the same slot
+        const appointment = await createOnlineAppointment(organization, req.user, {
+            expertName,
+            service,
             appointmentDate,
             appointmentTime,
-            organization.daysOff,
-            organization.isCurrentlyOpen,
-            organization.weeklyDaysOff
-        )) {
+            notes
+        });
+        await notifyAppointment(appointment, 'appointment-booked', organization);
+
+        // Populate user and organization details
+        await appointment.populate('userId', 'name email phone');
+        await appointment.populate('organizationId', 'organizationName category');
+
+        res.status(201).json({
+            success: true,
+            message: 'Appointment booked successfully',
+            data: { appointment }
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'This slot was just booked by someone else. Please choose another time.'
+            });
+        }
+
+        console.error('Book appointment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Register a walk-in visitor and issue a token
+ * @route   POST /api/appointments/walk-in
+ * @access  Private (organization owner or receptionist)
+ */
+const registerWalkIn = async (req, res) => {
+    try {
+        const { organizationId, patientName, patientPhone, expertName, serviceId, serviceName, notes } = req.body;
+
+        // Validate required fields
+        if (!organizationId || !patientName || !expertName || !(serviceId || serviceName)) {
             return res.status(400).json({
                 success: false,
-                message: 'Appointment time is outside working hours, on a day off, or organization is temporarily closed'
+                message: 'Please provide all required fields'
+            });
+        }
+
+        const organization = await Organization.findById(organizationId);
+        if (!organization) {
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found'
+            });
+        }
+
+        if (!authorizeOrg(organization, req.user, PERMISSIONS.MANAGE_QUEUE)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to register walk-ins for this organization'
+            });
+        }
+
+        if (organization.status === 'suspended') {
+            return res.status(403).json({
+                success: false,
+                message: 'Organization is suspended and not accepting bookings'
             });
         }
 
-        // Check if expert exists and is available
         const expert = organization.experts.find(e => e.name === expertName);
         if (!expert) {
             return res.status(404).json({
@@ -77,51 +322,96 @@ const bookAppointment = async (req, res) => {
             });
         }
 
-        // Check slot availability
-        const slotAvailable = await isSlotAvailable(
-            organizationId,
-            appointmentDate,
-            appointmentTime,
-            expertName,
-            organization.reservedSlotsPerDay || 0
-        );
-        if (!slotAvailable) {
+        const { service, error: serviceError } = resolveService(organization, serviceId, serviceName, expertName);
+        if (serviceError) {
+            return res.status(serviceError.status).json({
+                success: false,
+                message: serviceError.message
+            });
+        }
+
+        // Walk-ins are always for today, in the organization's timezone
+        const timeZone = organization.timezone;
+        const now = new Date();
+        const { startOfDay } = getDayBounds(now, timeZone);
+
+        const times = generateExpertTimeSlots(organization, expert, startOfDay);
+        if (times.length === 0) {
             return res.status(400).json({
                 success: false,
-                message: 'Slot is already taken'
+                message: 'Organization is closed or expert is not working today'
             });
         }
 
-        // Calculate queue position
-        const queuePosition = await calculateQueuePosition(organizationId, appointmentDate, appointmentTime);
+        // Take the next free slot while the expert has capacity left; otherwise append to the queue
+        const taken = await getTakenSlots(organizationId, startOfDay, timeZone);
+        const usage = await getDailyUsage(organizationId, startOfDay, null, timeZone);
+        const { onlineRemaining, reservedRemaining } = summarizeCapacity(
+            getExpertDailyCapacity(expert, times.length),
+            organization.reservedSlotsPerDay || 0,
+            usage[expertName]
+        );
+        const nowMinutes = getMinutesOfDay(now, timeZone);
+        const freeSlot = onlineRemaining + reservedRemaining > 0
+            ? getNextFreeSlot(times, taken[expertName] || new Set(), nowMinutes, service.duration, organization.appointmentDuration)
+            : null;
+        const appointmentTime = freeSlot || minutesToTime(nowMinutes);
 
-        // Calculate estimated wait time
-        const estimatedWaitTime = calculateEstimatedWaitTime(queuePosition, organization.appointmentDuration);
+        const tokenNumber = await getNextTokenNumber(organizationId, startOfDay, timeZone);
+        const queuePosition = await calculateQueuePosition(organizationId, startOfDay, appointmentTime, timeZone);
 
-        // Create appointment
         const appointment = await Appointment.create({
-            userId: req.user.id,
             organizationId,
+            source: 'offline',
+            patientName,
+            patientPhone,
             expertName,
-            serviceName,
-            appointmentDate,
+            serviceId: service._id,
+            serviceName: service.name,
+            duration: service.duration,
+            appointmentDate: startOfDay,
             appointmentTime,
+            occupiedSlots: freeSlot ? getOccupiedSlots(times, freeSlot, service.duration, organization.appointmentDuration) : [],
+            queueOnly: !freeSlot,
+            tokenNumber,
             queuePosition,
-            estimatedWaitTime,
-            notes
+            estimatedWaitTime: calculateEstimatedWaitTime(queuePosition, organization.appointmentDuration),
+            notes,
+            history: [Appointment.historyEntry('created', req.user, {
+                toStatus: 'pending',
+                details: { source: 'offline', tokenNumber }
+            })]
         });
 
-        // Populate user and organization details
-        await appointment.populate('userId', 'name email phone');
-        await appointment.populate('organizationId', 'organizationName category');
+        await updateQueuePositions(organizationId, startOfDay, organization.appointmentDuration, timeZone);
 
         res.status(201).json({
             success: true,
-            message: 'Appointment booked successfully',
-            data: { appointment }
+            message: 'Walk-in registered successfully',
+            data: {
+                appointment,
+                ticket: {
+                    organizationName: organization.organizationName,
+                    tokenNumber,
+                    patientName: appointment.patientName,
+                    expertName: appointment.expertName,
+                    serviceName: appointment.serviceName,
+                    appointmentTime: freeSlot,
+                    queuePosition: appointment.queuePosition,
+                    estimatedWaitTime: appointment.estimatedWaitTime,
+                    issuedAt: appointment.createdAt
+                }
+            }
         });
     } catch (error) {
-        console.error('Book appointment error:', error);
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'That slot was just booked. Please try again.'
+            });
+        }
+
+        console.error('Register walk-in error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error',
@@ -132,25 +422,52 @@ const bookAppointment = async (req, res) => {
 
 /**
  * @desc    Get user appointments
- * @route   GET /api/appointments/user
+ * @route   GET /api/appointments/user?status=&from=&to=&expert=&serviceId=&cursor=&limit=
  * @access  Private (user role only)
  */
 const getUserAppointments = async (req, res) => {
     try {
-        const { status } = req.query;
+        const { filter, error } = buildListingFilter(req.query, DEFAULT_TIMEZONE);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        // Replace the single-timezone range with one per organization timezone
+        delete filter.appointmentDate;
+        const dateCondition = await buildUserDateCondition(req.user.id, req.query);
+        if (dateCondition) {
+            Object.assign(filter, dateCondition);
+        }
 
-        const query = { userId: req.user.id };
-        if (status) {
-            query.status = status;
+        let after = null;
+        if (req.query.cursor) {
+            after = decodeCursor(req.query.cursor, USER_LISTING_SORT);
+            if (!after) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid cursor'
+                });
+            }
         }
 
-        const appointments = await Appointment.find(query)
-            .populate('organizationId', 'organizationName category address phone')
-            .sort({ appointmentDate: -1, appointmentTime: -1 });
+        const { limit } = getPagination(req.query);
+        const { items: appointments, total, nextCursor } = await getCursorPage(
+            Appointment,
+            { ...filter, userId: req.user.id },
+            USER_LISTING_SORT,
+            after,
+            limit,
+            [{ path: 'organizationId', select: 'organizationName category address phone' }]
+        );
 
         res.status(200).json({
             success: true,
             count: appointments.length,
+            total,
+            nextCursor,
             data: { appointments }
         });
     } catch (error) {
@@ -165,14 +482,12 @@ const getUserAppointments = async (req, res) => {
 
 /**
  * @desc    Get organization appointments
- * @route   GET /api/appointments/organization/:orgId
- * @access  Private (organization role only)
+ * @route   GET /api/appointments/organization/:orgId?status=&from=&to=&expert=&serviceId=&search=&cursor=&limit=
+ * @access  Private (organization members; experts see their own appointments)
  */
 const getOrganizationAppointments = async (req, res) => {
     try {
-        const { status, date } = req.query;
-
-        // Verify organization belongs to user
+        // Verify user belongs to the organization
         const organization = await Organization.findById(req.params.orgId);
         if (!organization) {
             return res.status(404).json({
@@ -181,38 +496,48 @@ const getOrganizationAppointments = async (req, res) => {
             });
         }
 
-        if (organization.userId.toString() !== req.user.id) {
+        const membership = authorizeOrg(organization, req.user, PERMISSIONS.VIEW_APPOINTMENTS);
+        if (!membership) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to view these appointments'
             });
         }
 
-        const query = { organizationId: req.params.orgId };
-
-        if (status) {
-            query.status = status;
+        const { query, error } = await buildOrganizationQuery(req.query, organization, membership);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
         }
 
-        if (date) {
-            const startOfDay = new Date(date);
-            startOfDay.setHours(0, 0, 0, 0);
-            const endOfDay = new Date(date);
-            endOfDay.setHours(23, 59, 59, 999);
-
-            query.appointmentDate = {
-                $gte: startOfDay,
-                $lte: endOfDay
-            };
+        let after = null;
+        if (req.query.cursor) {
+            after = decodeCursor(req.query.cursor, ORGANIZATION_LISTING_SORT);
+            if (!after) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid cursor'
+                });
+            }
         }
 
-        const appointments = await Appointment.find(query)
-            .populate('userId', 'name email phone')
-            .sort({ appointmentDate: 1, appointmentTime: 1, queuePosition: 1 });
+        const { limit } = getPagination(req.query);
+        const { items: appointments, total, nextCursor } = await getCursorPage(
+            Appointment,
+            query,
+            ORGANIZATION_LISTING_SORT,
+            after,
+            limit,
+            [{ path: 'userId', select: 'name email phone' }]
+        );
 
         res.status(200).json({
             success: true,
             count: appointments.length,
+            total,
+            nextCursor,
             data: { appointments }
         });
     } catch (error) {
@@ -225,14 +550,80 @@ const getOrganizationAppointments = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Export an organization's appointments as CSV or Excel, streamed row by row
+ * @route   GET /api/appointments/organization/:orgId/export?format=csv|xlsx&status=&from=&to=&date=&expert=&serviceId=&search=
+ * @access  Private (organization members; experts see their own appointments)
+ */
+const exportOrganizationAppointments = async (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}`
+            });
+        }
+
+        const organization = await Organization.findById(req.params.orgId);
+        if (!organization) {
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found'
+            });
+        }
+
+        const membership = authorizeOrg(organization, req.user, PERMISSIONS.VIEW_APPOINTMENTS);
+        if (!membership) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to export these appointments'
+            });
+        }
+
+        const { query, error } = await buildOrganizationQuery(req.query, organization, membership);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        // A cursor keeps only one batch in memory however long the date range is
+        const cursor = Appointment.find(query)
+            .select('-occupiedSlots -rescheduledFrom')
+            .sort(ORGANIZATION_LISTING_SORT)
+            .populate('userId', 'name phone')
+            .cursor({ batchSize: 500 });
+
+        const range = [req.query.from || req.query.date, req.query.to].filter(Boolean).join('_to_');
+        const filename = `appointments${range ? `-${range}` : ''}`;
+
+        await streamAppointmentExport(res, cursor, organization, format, filename);
+    } catch (error) {
+        console.error('Export appointments error:', error);
+
+        // Once streaming has started the status is sent; cut the download short instead
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
 /**
  * @desc    Update appointment status
  * @route   PUT /api/appointments/:id/status
- * @access  Private (organization role only)
+ * @access  Private (organization members; experts only their own appointments)
  */
 const updateAppointmentStatus = async (req, res) => {
     try {
-        const { status } = req.body;
+        const { status, reason } = req.body;
 
         if (!status) {
             return res.status(400).json({
@@ -241,6 +632,13 @@ const updateAppointmentStatus = async (req, res) => {
             });
         }
 
+        if (!STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid status. Must be one of: ${STATUSES.join(', ')}`
+            });
+        }
+
         const appointment = await Appointment.findById(req.params.id);
         if (!appointment) {
             return res.status(404).json({
@@ -249,22 +647,42 @@ const updateAppointmentStatus = async (req, res) => {
             });
         }
 
-        // Verify organization belongs to user
+        // Verify user may act on this appointment
         const organization = await Organization.findById(appointment.organizationId);
-        if (organization.userId.toString() !== req.user.id) {
+        if (!authorizeOrg(organization, req.user, PERMISSIONS.UPDATE_APPOINTMENTS, appointment)) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to update this appointment'
             });
         }
 
+        // Only allow moves defined by the status state machine
+        if (!canTransition(appointment.status, status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot change status from ${appointment.status} to ${status}`
+            });
+        }
+
         // Update status
+        appointment.recordHistory('status-changed', req.user, {
+            fromStatus: appointment.status,
+            toStatus: status,
+            reason
+        });
         appointment.status = status;
         await appointment.save();
+        publishStatusChange(appointment);
+        await notifyAppointment(appointment, status === 'cancelled' ? 'appointment-cancelled' : 'appointment-status', organization);
+
+        // Update queue positions once the appointment leaves the queue (completed, cancelled or no-show)
+        if (!ACTIVE_STATUSES.includes(status)) {
+            await updateQueuePositions(appointment.organizationId, appointment.appointmentDate, organization.appointmentDuration, organization.timezone);
+        }
 
-        // Update queue positions if appointment is completed or cancelled
-        if (status === 'completed' || status === 'cancelled') {
-            await updateQueuePositions(appointment.organizationId, appointment.appointmentDate);
+        // A cancellation frees the slot for the waitlist
+        if (status === 'cancelled') {
+            await promoteWaitlist(appointment.organizationId, appointment.expertName, appointment.appointmentDate);
         }
 
         await appointment.populate('userId', 'name email phone');
@@ -302,7 +720,7 @@ const cancelAppointment = async (req, res) => {
         }
 
         // Check if user owns this appointment
-        if (appointment.userId.toString() !== req.user.id) {
+        if (!appointment.userId || appointment.userId.toString() !== req.user.id) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to cancel this appointment'
@@ -324,12 +742,35 @@ const cancelAppointment = async (req, res) => {
             });
         }
 
+        if (!canTransition(appointment.status, 'cancelled')) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot cancel ${appointment.status} appointment`
+            });
+        }
+
         // Update status to cancelled
+        appointment.recordHistory('status-changed', req.user, {
+            fromStatus: appointment.status,
+            toStatus: 'cancelled',
+            reason: req.body && req.body.reason
+        });
         appointment.status = 'cancelled';
         await appointment.save();
+        publishStatusChange(appointment);
 
         // Update queue positions
-        await updateQueuePositions(appointment.organizationId, appointment.appointmentDate);
+        const organization = await Organization.findById(appointment.organizationId);
+        await notifyAppointment(appointment, 'appointment-cancelled', organization);
+        await updateQueuePositions(
+            appointment.organizationId,
+            appointment.appointmentDate,
+            organization ? organization.appointmentDuration : undefined,
+            organization ? organization.timezone : undefined
+        );
+
+        // Offer the freed slot to the waitlist
+        await promoteWaitlist(appointment.organizationId, appointment.expertName, appointment.appointmentDate);
 
         res.status(200).json({
             success: true,
@@ -346,6 +787,264 @@ const cancelAppointment = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Reschedule appointment to a new date, time or expert
+ * @route   PUT /api/appointments/:id/reschedule
+ * @access  Private (booking user, organization owner or receptionist)
+ */
+const rescheduleAppointment = async (req, res) => {
+    try {
+        const { appointmentDate, appointmentTime } = req.body;
+
+        if (!appointmentDate || !appointmentTime) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide appointmentDate and appointmentTime'
+            });
+        }
+
+        const appointment = await Appointment.findById(req.params.id);
+        if (!appointment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Appointment not found'
+            });
+        }
+
+        const organization = await Organization.findById(appointment.organizationId);
+        const isOwner = appointment.userId && appointment.userId.toString() === req.user.id;
+        const isOrgMember = Boolean(authorizeOrg(organization, req.user, PERMISSIONS.MANAGE_QUEUE));
+
+        if (!isOwner && !isOrgMember) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to reschedule this appointment'
+            });
+        }
+
+        if (!ACTIVE_STATUSES.includes(appointment.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot reschedule ${appointment.status} appointment`
+            });
+        }
+
+        const expertName = req.body.expertName || appointment.expertName;
+        const duration = appointment.duration || organization.appointmentDuration;
+
+        // A new expert must also perform the booked service
+        const service = appointment.serviceId && organization.services.id(appointment.serviceId);
+        if (service && service.experts.length > 0 && !service.experts.includes(expertName)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Expert does not perform this service'
+            });
+        }
+
+        const slotError = await validateSlot(organization, appointmentDate, appointmentTime, expertName, duration, appointment._id);
+        if (slotError) {
+            return res.status(slotError.status).json({
+                success: false,
+                message: slotError.message
+            });
+        }
+
+        const previousDate = appointment.appointmentDate;
+        const newDate = getDayBounds(appointmentDate, organization.timezone).startOfDay;
+
+        // Move only if nobody changed the appointment meanwhile; the unique slot index
+        // rejects the move if another booking grabbed the new slot first
+        const rescheduled = await Appointment.findOneAndUpdate(
+            {
+                _id: appointment._id,
+                status: appointment.status,
+                appointmentDate: appointment.appointmentDate,
+                appointmentTime: appointment.appointmentTime,
+                expertName: appointment.expertName
+            },
+            {
+                $set: {
+                    appointmentDate: newDate,
+                    appointmentTime,
+                    expertName,
+                    occupiedSlots: getSlotsToHold(organization, expertName, appointmentDate, appointmentTime, duration),
+                    queueOnly: false,
+                    holdsSlot: true,
+                    remindersSent: [],
+                    updatedAt: Date.now()
+                },
+                $push: {
+                    rescheduledFrom: {
+                        appointmentDate: appointment.appointmentDate,
+                        appointmentTime: appointment.appointmentTime,
+                        expertName: appointment.expertName,
+                        rescheduledAt: new Date(),
+                        rescheduledBy: req.user.id
+                    },
+                    history: Appointment.historyEntry('rescheduled', req.user, {
+                        reason: req.body.reason,
+                        details: {
+                            from: {
+                                appointmentDate: appointment.appointmentDate,
+                                appointmentTime: appointment.appointmentTime,
+                                expertName: appointment.expertName
+                            },
+                            to: { appointmentDate: newDate, appointmentTime, expertName }
+                        }
+                    })
+                }
+            },
+            { new: true, runValidators: true }
+        );
+
+        if (!rescheduled) {
+            return res.status(409).json({
+                success: false,
+                message: 'Appointment was changed by someone else. Please reload and try again.'
+            });
+        }
+
+        // Recompute both the old and the new day
+        await updateQueuePositions(rescheduled.organizationId, previousDate, organization.appointmentDuration, organization.timezone);
+        if (newDate.getTime() !== new Date(previousDate).getTime()) {
+            await updateQueuePositions(rescheduled.organizationId, newDate, organization.appointmentDuration, organization.timezone);
+        }
+
+        await notifyAppointment(rescheduled, 'appointment-rescheduled', organization);
+
+        // The old slot is free again
+        await promoteWaitlist(rescheduled.organizationId, appointment.expertName, previousDate);
+
+        const updated = await Appointment.findById(rescheduled._id)
+            .populate('userId', 'name email phone')
+            .populate('organizationId', 'organizationName category');
+
+        res.status(200).json({
+            success: true,
+            message: 'Appointment rescheduled successfully',
+            data: { appointment: updated }
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'This slot was just booked by someone else. Please choose another time.'
+            });
+        }
+
+        console.error('Reschedule appointment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Update appointment notes
+ * @route   PUT /api/appointments/:id/notes
+ * @access  Private (booking user or organization member; experts only their own appointments)
+ */
+const updateAppointmentNotes = async (req, res) => {
+    try {
+        const { notes, reason } = req.body;
+
+        if (notes === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide notes'
+            });
+        }
+
+        const appointment = await Appointment.findById(req.params.id);
+        if (!appointment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Appointment not found'
+            });
+        }
+
+        const organization = await Organization.findById(appointment.organizationId);
+        const isOwner = appointment.userId && appointment.userId.toString() === req.user.id;
+        const isOrgMember = Boolean(authorizeOrg(organization, req.user, PERMISSIONS.UPDATE_APPOINTMENTS, appointment));
+
+        if (!isOwner && !isOrgMember) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this appointment'
+            });
+        }
+
+        appointment.recordHistory('notes-updated', req.user, {
+            reason,
+            details: { previousNotes: appointment.notes, notes }
+        });
+        appointment.notes = notes;
+        await appointment.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Appointment notes updated successfully',
+            data: { appointment }
+        });
+    } catch (error) {
+        console.error('Update appointment notes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get appointment history
+ * @route   GET /api/appointments/:id/history
+ * @access  Private (booking user or organization member; experts only their own appointments)
+ */
+const getAppointmentHistory = async (req, res) => {
+    try {
+        const appointment = await Appointment.findById(req.params.id)
+            .select('userId organizationId expertName status history')
+            .populate('history.actor', 'name role');
+
+        if (!appointment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Appointment not found'
+            });
+        }
+
+        const organization = await Organization.findById(appointment.organizationId);
+        const isOwner = appointment.userId && appointment.userId.toString() === req.user.id;
+        const isOrgMember = Boolean(authorizeOrg(organization, req.user, PERMISSIONS.VIEW_APPOINTMENTS, appointment));
+
+        if (!isOwner && !isOrgMember) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this appointment'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            count: appointment.history.length,
+            data: {
+                status: appointment.status,
+                history: appointment.history
+            }
+        });
+    } catch (error) {
+        console.error('Get appointment history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
 /**
  * @desc    Get appointment by ID
  * @route   GET /api/appointments/:id
@@ -366,10 +1065,10 @@ const getAppointmentById = async (req, res) => {
 
         // Check authorization
         const organization = await Organization.findById(appointment.organizationId);
-        const isOwner = appointment.userId._id.toString() === req.user.id;
-        const isOrgOwner = organization && organization.userId.toString() === req.user.id;
+        const isOwner = appointment.userId?._id.toString() === req.user.id;
+        const isOrgMember = Boolean(authorizeOrg(organization, req.user, PERMISSIONS.VIEW_APPOINTMENTS, appointment));
 
-        if (!isOwner && !isOrgOwner) {
+        if (!isOwner && !isOrgMember) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to view this appointment'
@@ -390,11 +1089,147 @@ const getAppointmentById = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Download an appointment as an iCalendar event
+ * @route   GET /api/appointments/:id/ics
+ * @access  Private (booking user or organization member; experts only their own appointments)
+ */
+const getAppointmentIcs = async (req, res) => {
+    try {
+        const appointment = await Appointment.findById(req.params.id).populate('userId', 'name phone');
+
+        if (!appointment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Appointment not found'
+            });
+        }
+
+        const organization = await Organization.findById(appointment.organizationId);
+        const isOwner = appointment.userId?._id.toString() === req.user.id;
+        const isOrgMember = Boolean(authorizeOrg(organization, req.user, PERMISSIONS.VIEW_APPOINTMENTS, appointment));
+
+        if (!isOwner && !isOrgMember) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this appointment'
+            });
+        }
+
+        const patientName = appointment.userId ? appointment.userId.name : appointment.patientName;
+        const event = buildAppointmentEvent(appointment, organization, isOwner
+            ? {
+                summary: `${appointment.serviceName} at ${organization.organizationName}`,
+                description: `With ${appointment.expertName}`
+            }
+            : {
+                summary: `${appointment.serviceName} - ${patientName}`,
+                description: `With ${appointment.expertName}`
+            });
+
+        sendCalendar(res, buildCalendar([event], organization.organizationName), `appointment-${appointment._id}.ics`);
+    } catch (error) {
+        console.error('Get appointment ics error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Stream live queue updates (Server-Sent Events)
+ * @route   GET /api/appointments/stream?organizationId=&token=
+ * @access  Private (users get their own appointments; organization members pass organizationId)
+ */
+const streamQueueUpdates = async (req, res) => {
+    try {
+        let channel;
+        let expertName = null;
+
+        if (['organization', 'staff'].includes(req.user.role)) {
+            const { organizationId } = req.query;
+            if (!organizationId) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Please provide organizationId'
+                });
+            }
+
+            const organization = await Organization.findById(organizationId);
+            if (!organization) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Organization not found'
+                });
+            }
+
+            const membership = authorizeOrg(organization, req.user, PERMISSIONS.VIEW_APPOINTMENTS);
+            if (!membership) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Not authorized to view this queue'
+                });
+            }
+
+            channel = `org:${organization._id}`;
+            expertName = membership.expertName;
+        } else {
+            channel = `user:${req.user.id}`;
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(': connected\n\n');
+
+        const unsubscribe = subscribe(channel, (event) => {
+            // Experts only follow their own queue
+            if (expertName) {
+                if (event.type === 'queue') {
+                    event = { ...event, queue: event.queue.filter(entry => entry.expertName === expertName) };
+                } else if (event.expertName !== expertName) {
+                    return;
+                }
+            }
+
+            res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        });
+
+        // Keep proxies from closing an idle connection
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+    } catch (error) {
+        console.error('Stream queue updates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
 module.exports = {
     bookAppointment,
+    registerWalkIn,
     getUserAppointments,
     getOrganizationAppointments,
+    exportOrganizationAppointments,
     updateAppointmentStatus,
     cancelAppointment,
-    getAppointmentById
+    rescheduleAppointment,
+    updateAppointmentNotes,
+    getAppointmentHistory,
+    getAppointmentById,
+    getAppointmentIcs,
+    streamQueueUpdates
 };
@@ -1,12 +1,45 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { sendMail } = require('../utils/mailer');
+const {
+    hashToken,
+    generateOneTimeToken,
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAllSessions
+} = require('../utils/tokenUtils');
+
+const PASSWORD_RESET_MINUTES = Number(process.env.PASSWORD_RESET_MINUTES) || 60;
+const PASSWORD_RESET_COOLDOWN_SECONDS = Number(process.env.PASSWORD_RESET_COOLDOWN_SECONDS) || 60;
+const MIN_PASSWORD_LENGTH = 6;
+const EMAIL_VERIFICATION_HOURS = Number(process.env.EMAIL_VERIFICATION_HOURS) || 24;
+const VERIFICATION_RESEND_COOLDOWN_SECONDS = Number(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60;
+const MAX_FAILED_LOGINS = Number(process.env.MAX_FAILED_LOGINS) || 5;
+const ACCOUNT_LOCK_MINUTES = Number(process.env.ACCOUNT_LOCK_MINUTES) || 15;
 
 /**
- * Generate JWT token
+ * Issue a fresh verification token and email the link to the user
+ * @param {Object} user - User document
  */
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: '30d'
+const sendVerificationEmail = async (user) => {
+    const { token, tokenHash, expiresAt } = generateOneTimeToken(EMAIL_VERIFICATION_HOURS * 60);
+
+    await User.updateOne(
+        { _id: user._id },
+        {
+            $set: {
+                emailVerificationTokenHash: tokenHash,
+                emailVerificationExpires: expiresAt,
+                emailVerificationSentAt: new Date()
+            }
+        }
+    );
+
+    const baseUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+    await sendMail({
+        to: user.email,
+        subject: 'Verify your email',
+        text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below. It expires in ${EMAIL_VERIFICATION_HOURS} hours.\n\n${baseUrl}/api/auth/verify/${token}`
     });
 };
 
@@ -37,10 +70,10 @@ const register = async (req, res) => {
         }
 
         // Validate role
-        if (!['user', 'organization'].includes(role)) {
+        if (!['user', 'organization', 'staff'].includes(role)) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid role. Must be either "user" or "organization"'
+                message: 'Invalid role. Must be one of "user", "organization" or "staff"'
             });
         }
 
@@ -50,11 +83,19 @@ const register = async (req, res) => {
             email,
             password,
             role,
-            phone
+            phone,
+            emailVerified: false
         });
 
-        // Generate token
-        const token = generateToken(user._id);
+        // A failed email shouldn't fail registration; the user can ask for a resend
+        try {
+            await sendVerificationEmail(user);
+        } catch (mailError) {
+            console.error('Verification email error:', mailError);
+        }
+
+        // Generate access and refresh tokens
+        const { token, refreshToken } = await issueTokens(user, req);
 
         res.status(201).json({
             success: true,
@@ -65,9 +106,11 @@ const register = async (req, res) => {
                     name: user.name,
                     email: user.email,
                     role: user.role,
-                    phone: user.phone
+                    phone: user.phone,
+                    emailVerified: user.isEmailVerified()
                 },
-                token
+                token,
+                refreshToken
             }
         });
     } catch (error) {
@@ -107,18 +150,60 @@ const login = async (req, res) => {
             });
         }
 
+        if (user.status === 'suspended') {
+            return res.status(403).json({
+                success: false,
+                message: 'Account is suspended'
+            });
+        }
+
+        // Refuse locked accounts before checking the password
+        if (user.lockUntil && user.lockUntil > new Date()) {
+            const retryAfter = Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(423).json({
+                success: false,
+                message: 'Account is temporarily locked after too many failed logins. Please try again later'
+            });
+        }
+
         // Check password
         const isPasswordMatch = await user.comparePassword(password);
 
         if (!isPasswordMatch) {
+            const updated = await User.findOneAndUpdate(
+                { _id: user._id },
+                { $inc: { failedLoginAttempts: 1 } },
+                { new: true }
+            );
+
+            if (updated.failedLoginAttempts >= MAX_FAILED_LOGINS) {
+                await User.updateOne(
+                    { _id: user._id },
+                    {
+                        $set: {
+                            failedLoginAttempts: 0,
+                            lockUntil: new Date(Date.now() + ACCOUNT_LOCK_MINUTES * 60 * 1000)
+                        }
+                    }
+                );
+            }
+
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
             });
         }
 
-        // Generate token
-        const token = generateToken(user._id);
+        if (user.failedLoginAttempts || user.lockUntil) {
+            await User.updateOne(
+                { _id: user._id },
+                { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } }
+            );
+        }
+
+        // Generate access and refresh tokens
+        const { token, refreshToken } = await issueTokens(user, req);
 
         res.status(200).json({
             success: true,
@@ -129,9 +214,11 @@ const login = async (req, res) => {
                     name: user.name,
                     email: user.email,
                     role: user.role,
-                    phone: user.phone
+                    phone: user.phone,
+                    emailVerified: user.isEmailVerified()
                 },
-                token
+                token,
+                refreshToken
             }
         });
     } catch (error) {
@@ -144,6 +231,346 @@ const login = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Exchange a refresh token for a new access and refresh token
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+const refresh = async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide refreshToken'
+            });
+        }
+
+        const result = await rotateRefreshToken(refreshToken, req);
+
+        if (!result) {
+            return res.status(401).json({
+                success: false,
+                message: 'Refresh token is not valid'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Token refreshed',
+            data: {
+                token: result.token,
+                refreshToken: result.refreshToken
+            }
+        });
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Log out this device, or every device with allDevices: true
+ * @route   POST /api/auth/logout
+ * @access  Public (identified by the refresh token)
+ */
+const logout = async (req, res) => {
+    try {
+        const { refreshToken, allDevices } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide refreshToken'
+            });
+        }
+
+        const record = await revokeRefreshToken(refreshToken);
+
+        if (allDevices && record) {
+            await revokeAllSessions(record.userId);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: allDevices ? 'Logged out from all devices' : 'Logged out successfully'
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Verify email address with the emailed token
+ * @route   GET /api/auth/verify/:token
+ * @access  Public
+ */
+const verifyEmail = async (req, res) => {
+    try {
+        const user = await User.findOneAndUpdate(
+            {
+                emailVerificationTokenHash: hashToken(req.params.token),
+                emailVerificationExpires: { $gt: new Date() }
+            },
+            {
+                $set: { emailVerified: true },
+                $unset: { emailVerificationTokenHash: 1, emailVerificationExpires: 1 }
+            }
+        );
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Verification token is invalid or has expired'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Email verified successfully'
+        });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Send the verification email again
+ * @route   POST /api/auth/verify/resend
+ * @access  Private
+ */
+const resendVerification = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+
+        if (user.isEmailVerified()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email is already verified'
+            });
+        }
+
+        if (user.emailVerificationSentAt) {
+            const elapsed = (Date.now() - user.emailVerificationSentAt.getTime()) / 1000;
+            const retryAfter = Math.ceil(VERIFICATION_RESEND_COOLDOWN_SECONDS - elapsed);
+
+            if (retryAfter > 0) {
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({
+                    success: false,
+                    message: `Please wait ${retryAfter} seconds before requesting another email`
+                });
+            }
+        }
+
+        await sendVerificationEmail(user);
+
+        res.status(200).json({
+            success: true,
+            message: 'Verification email sent'
+        });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Email a password reset link
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+const forgotPassword = async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email || typeof email !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide email'
+            });
+        }
+
+        const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+        // Same response whether or not the account exists, so emails can't be probed
+        if (user) {
+            const { token, tokenHash, expiresAt } = generateOneTimeToken(PASSWORD_RESET_MINUTES);
+            const cooldownStart = new Date(Date.now() - PASSWORD_RESET_COOLDOWN_SECONDS * 1000);
+
+            // Within the cooldown nothing is sent; the response stays the same so it can't be probed either
+            const result = await User.updateOne(
+                {
+                    _id: user._id,
+                    $or: [
+                        { passwordResetSentAt: { $exists: false } },
+                        { passwordResetSentAt: { $lte: cooldownStart } }
+                    ]
+                },
+                { $set: { passwordResetTokenHash: tokenHash, passwordResetExpires: expiresAt, passwordResetSentAt: new Date() } }
+            );
+
+            if (result.modifiedCount === 1) {
+                const baseUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+                await sendMail({
+                    to: user.email,
+                    subject: 'Reset your password',
+                    text: `Hi ${user.name},\n\nUse the link below to reset your password. It expires in ${PASSWORD_RESET_MINUTES} minutes.\n\n${baseUrl}/reset-password?token=${token}\n\nIf you didn't ask for this, you can ignore this email.`
+                });
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'If an account exists for this email, a reset link has been sent'
+        });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Set a new password with a reset token
+ * @route   POST /api/auth/reset-password
+ * @access  Public
+ */
+const resetPassword = async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token || !password || typeof token !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide token and password'
+            });
+        }
+
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+            });
+        }
+
+        // Clear the token while matching it so it can only be used once
+        const user = await User.findOneAndUpdate(
+            {
+                passwordResetTokenHash: hashToken(token),
+                passwordResetExpires: { $gt: new Date() }
+            },
+            { $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } }
+        );
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reset token is invalid or has expired'
+            });
+        }
+
+        user.password = password;
+        await user.save();
+
+        // Sessions opened with the old password are no longer trusted
+        await revokeAllSessions(user._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Password reset successfully. Please login with your new password'
+        });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Change password of the current user
+ * @route   PUT /api/auth/password
+ * @access  Private
+ */
+const changePassword = async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!currentPassword || !newPassword || typeof currentPassword !== 'string' || typeof newPassword !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide currentPassword and newPassword'
+            });
+        }
+
+        if (newPassword.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+            });
+        }
+
+        const user = await User.findById(req.user.id).select('+password');
+
+        const isPasswordMatch = await user.comparePassword(currentPassword);
+        if (!isPasswordMatch) {
+            return res.status(401).json({
+                success: false,
+                message: 'Current password is incorrect'
+            });
+        }
+
+        user.password = newPassword;
+        await user.save();
+
+        // Log out other devices, then hand this one a fresh session
+        await revokeAllSessions(user._id);
+        const updatedUser = await User.findById(user._id);
+        const { token, refreshToken } = await issueTokens(updatedUser, req);
+
+        res.status(200).json({
+            success: true,
+            message: 'Password changed successfully',
+            data: {
+                token,
+                refreshToken
+            }
+        });
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
 /**
  * @desc    Get current user
  * @route   GET /api/auth/me
@@ -161,7 +588,8 @@ const getMe = async (req, res) => {
                     name: user.name,
                     email: user.email,
                     role: user.role,
-                    phone: user.phone
+                    phone: user.phone,
+                    emailVerified: user.isEmailVerified()
                 }
             }
         });
@@ -178,5 +606,12 @@ const getMe = async (req, res) => {
 module.exports = {
     register,
     login,
+    refresh,
+    logout,
+    verifyEmail,
+    resendVerification,
+    forgotPassword,
+    resetPassword,
+    changePassword,
     getMe
 };
@@ -0,0 +1,162 @@
+const Appointment = require('../models/Appointment');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const { hashToken, generateToken } = require('../utils/tokenUtils');
+const { getMembership } = require('../utils/permissions');
+const { buildAppointmentEvent, buildCalendar, sendCalendar } = require('../utils/icsUtils');
+
+// Feeds keep recent past appointments so cancellations and changes still reach subscribers
+const FEED_PAST_DAYS = 30;
+const FEED_MAX_EVENTS = 1000;
+
+/**
+ * Build the public URL of a calendar feed
+ * @param {String} token - Raw feed token
+ * @returns {String} Feed URL
+ */
+const getFeedUrl = (token) => {
+    const baseUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+    return `${baseUrl}/api/calendar/feed/${token}.ics`;
+};
+
+/**
+ * @desc    Create a calendar feed URL, replacing any previous one
+ * @route   POST /api/calendar/token
+ * @access  Private
+ */
+const createFeedToken = async (req, res) => {
+    try {
+        const { token, tokenHash } = generateToken();
+
+        await User.updateOne({ _id: req.user.id }, { $set: { calendarFeedTokenHash: tokenHash } });
+
+        res.status(201).json({
+            success: true,
+            message: 'Calendar feed created. Any previous feed URL no longer works.',
+            data: { feedUrl: getFeedUrl(token) }
+        });
+    } catch (error) {
+        console.error('Create calendar feed error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Turn off the calendar feed
+ * @route   DELETE /api/calendar/token
+ * @access  Private
+ */
+const revokeFeedToken = async (req, res) => {
+    try {
+        await User.updateOne({ _id: req.user.id }, { $unset: { calendarFeedTokenHash: 1 } });
+
+        res.status(200).json({
+            success: true,
+            message: 'Calendar feed turned off'
+        });
+    } catch (error) {
+        console.error('Revoke calendar feed error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Subscribable calendar feed. Users get their own appointments; organization
+ *          members get the organization's schedule, narrowed with ?expert= (experts
+ *          always get only their own).
+ * @route   GET /api/calendar/feed/:token.ics?expert=
+ * @access  Public (the token in the URL identifies the user)
+ */
+const getCalendarFeed = async (req, res) => {
+    try {
+        const user = await User.findOne({ calendarFeedTokenHash: hashToken(req.params.token) })
+            .select('name role status');
+
+        if (!user || user.status === 'suspended') {
+            return res.status(404).json({
+                success: false,
+                message: 'Calendar feed not found'
+            });
+        }
+
+        const since = new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000);
+
+        if (user.role === 'user') {
+            const appointments = await Appointment.find({ userId: user._id, appointmentDate: { $gte: since } })
+                .populate('organizationId', 'organizationName address timezone appointmentDuration')
+                .sort({ appointmentDate: 1, appointmentTime: 1 })
+                .limit(FEED_MAX_EVENTS);
+
+            const events = appointments
+                .filter(appointment => appointment.organizationId)
+                .map(appointment => buildAppointmentEvent(appointment, appointment.organizationId, {
+                    summary: `${appointment.serviceName} at ${appointment.organizationId.organizationName}`,
+                    description: `With ${appointment.expertName}`
+                }));
+
+            return sendCalendar(res, buildCalendar(events, 'My appointments'));
+        }
+
+        const organization = await Organization.findOne({
+            $or: [
+                { userId: user._id },
+                { staff: { $elemMatch: { userId: user._id, status: 'active' } } }
+            ]
+        });
+        const membership = getMembership(organization, user);
+
+        if (!membership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Calendar feed not found'
+            });
+        }
+
+        const query = { organizationId: organization._id, appointmentDate: { $gte: since } };
+        const expertName = membership.expertName || req.query.expert;
+        if (expertName) {
+            query.expertName = expertName;
+        }
+
+        const appointments = await Appointment.find(query)
+            .populate('userId', 'name phone')
+            .sort({ appointmentDate: 1, appointmentTime: 1 })
+            .limit(FEED_MAX_EVENTS);
+
+        const events = appointments.map(appointment => {
+            const patientName = appointment.userId ? appointment.userId.name : appointment.patientName;
+            const phone = appointment.userId ? appointment.userId.phone : appointment.patientPhone;
+            return buildAppointmentEvent(appointment, organization, {
+                summary: `${appointment.serviceName} - ${patientName}`,
+                description: [`With ${appointment.expertName}`, phone && `Phone: ${phone}`].filter(Boolean).join('\n')
+            });
+        });
+
+        const name = expertName
+            ? `${organization.organizationName} - ${expertName}`
+            : organization.organizationName;
+
+        sendCalendar(res, buildCalendar(events, name));
+    } catch (error) {
+        console.error('Calendar feed error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    createFeedToken,
+    revokeFeedToken,
+    getCalendarFeed
+};
@@ -0,0 +1,187 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { getPagination } = require('../utils/pagination');
+
+const PREFERENCE_KEYS = ['email', 'sms', 'inApp', 'reminders'];
+
+/**
+ * @desc    Get the current user's in-app notifications, newest first
+ * @route   GET /api/notifications?unread=true&page=&limit=
+ * @access  Private
+ */
+const getNotifications = async (req, res) => {
+    try {
+        const { page, limit, skip } = getPagination(req.query);
+
+        const query = { userId: req.user.id };
+        if (req.query.unread === 'true') {
+            query.readAt = { $exists: false };
+        }
+
+        const [notifications, total, unread] = await Promise.all([
+            Notification.find(query)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            Notification.countDocuments(query),
+            Notification.countDocuments({ userId: req.user.id, readAt: { $exists: false } })
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: notifications.length,
+            total,
+            unread,
+            page,
+            pages: Math.ceil(total / limit),
+            data: { notifications }
+        });
+    } catch (error) {
+        console.error('Get notifications error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Mark a notification as read
+ * @route   PUT /api/notifications/:id/read
+ * @access  Private
+ */
+const markNotificationRead = async (req, res) => {
+    try {
+        const notification = await Notification.findOne({ _id: req.params.id, userId: req.user.id });
+
+        if (!notification) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+
+        if (!notification.readAt) {
+            notification.readAt = new Date();
+            await notification.save();
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Notification marked as read',
+            data: { notification }
+        });
+    } catch (error) {
+        console.error('Mark notification read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Mark all of the current user's notifications as read
+ * @route   PUT /api/notifications/read-all
+ * @access  Private
+ */
+const markAllNotificationsRead = async (req, res) => {
+    try {
+        const result = await Notification.updateMany(
+            { userId: req.user.id, readAt: { $exists: false } },
+            { $set: { readAt: new Date() } }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'All notifications marked as read',
+            data: { updated: result.modifiedCount }
+        });
+    } catch (error) {
+        console.error('Mark all notifications read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get the current user's notification preferences
+ * @route   GET /api/notifications/preferences
+ * @access  Private
+ */
+const getPreferences = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('notificationPreferences');
+
+        res.status(200).json({
+            success: true,
+            data: { preferences: user.notificationPreferences }
+        });
+    } catch (error) {
+        console.error('Get notification preferences error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Update the current user's notification preferences
+ * @route   PUT /api/notifications/preferences
+ * @access  Private
+ */
+const updatePreferences = async (req, res) => {
+    try {
+        const update = {};
+        for (const key of PREFERENCE_KEYS) {
+            if (req.body[key] === undefined) {
+                continue;
+            }
+            if (typeof req.body[key] !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    message: `${key} must be true or false`
+                });
+            }
+            update[`notificationPreferences.${key}`] = req.body[key];
+        }
+
+        if (Object.keys(update).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Please provide at least one of: ${PREFERENCE_KEYS.join(', ')}`
+            });
+        }
+
+        const user = await User.findByIdAndUpdate(req.user.id, { $set: update }, { new: true })
+            .select('notificationPreferences');
+
+        res.status(200).json({
+            success: true,
+            message: 'Notification preferences updated successfully',
+            data: { preferences: user.notificationPreferences }
+        });
+    } catch (error) {
+        console.error('Update notification preferences error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getNotifications,
+    markNotificationRead,
+    markAllNotificationsRead,
+    getPreferences,
+    updatePreferences
+};
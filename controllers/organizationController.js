@@ -1,5 +1,65 @@
 const Organization = require('../models/Organization');
 const Appointment = require('../models/Appointment');
+const {
+    generateTimeSlots,
+    generateExpertTimeSlots,
+    isExpertWorking,
+    getOccupiedSlots,
+    getTakenSlots,
+    getExpertDailyCapacity,
+    getDailyUsage,
+    summarizeCapacity,
+    getDailyCapacity,
+    getScheduleForDate,
+    timeToMinutes
+} = require('../utils/queueUtils');
+const { isValidDate, getDayBounds, toDateString, addDays, getDayName, getMinutesOfDay } = require('../utils/dateUtils');
+const { getPagination } = require('../utils/pagination');
+const { PERMISSIONS, authorizeOrg } = require('../utils/permissions');
+const { hashToken, generateOneTimeToken } = require('../utils/tokenUtils');
+const { sendMail } = require('../utils/mailer');
+const { buildAnalytics } = require('../utils/analyticsUtils');
+
+const STAFF_INVITE_DAYS = Number(process.env.STAFF_INVITE_DAYS) || 7;
+// Profile fields an owner may change; ownership, staff and moderation fields have their own endpoints
+const EDITABLE_FIELDS = [
+    'organizationName',
+    'description',
+    'category',
+    'workingHours',
+    'experts',
+    'services',
+    'appointmentDuration',
+    'address',
+    'location',
+    'phone',
+    'daysOff',
+    'weeklyDaysOff',
+    'timezone',
+    'isCurrentlyOpen',
+    'reservedSlotsPerDay'
+];
+const ANALYTICS_DEFAULT_DAYS = 30;
+const ANALYTICS_MAX_DAYS = 366;
+const INVALID_LOCATION_MESSAGE = 'Location must be { type: "Point", coordinates: [longitude, latitude] }';
+
+/**
+ * Check a GeoJSON point as a whole; update validators can't see sibling fields,
+ * so the schema alone lets a partial location through on updates
+ * @param {*} location - Location from the request body
+ * @returns {Boolean} True when it is a complete point within range
+ */
+const isValidLocation = (location) => {
+    if (!location || typeof location !== 'object' || location.type !== 'Point') {
+        return false;
+    }
+
+    const { coordinates } = location;
+    return Array.isArray(coordinates) && coordinates.length === 2 &&
+        coordinates.every(c => typeof c === 'number' && Number.isFinite(c)) &&
+        coordinates[0] >= -180 && coordinates[0] <= 180 &&
+        coordinates[1] >= -90 && coordinates[1] <= 90;
+};
 
 /**
  * @desc    Create organization profile
@@ -8,7 +68,14 @@ const Appointment = require('../models/Appointment');
  */
 const createOrganization = async (req, res) => {
     try {
-        const { organizationName, description, category, workingHours, experts, appointmentDuration, address, phone } = req.body;
+        const { organizationName, description, category, workingHours, experts, services, appointmentDuration, address, location, phone, timezone } = req.body;
+
+        if (location != null && !isValidLocation(location)) {
+            return res.status(400).json({
+                success: false,
+                message: INVALID_LOCATION_MESSAGE
+            });
+        }
 
         // Check if organization already exists for this user
         const existingOrg = await Organization.findOne({ userId: req.user.id });
@@ -27,9 +94,12 @@ const createOrganization = async (req, res) => {
             category,
             workingHours: workingHours || [],
             experts: experts || [],
+            services: services || [],
             appointmentDuration: appointmentDuration || 30,
             address,
-            phone
+            location,
+            phone,
+            timezone
         });
 
         res.status(201).json({
@@ -64,17 +134,32 @@ const updateOrganization = async (req, res) => {
         }
 
         // Check if user owns this organization
-        if (organization.userId.toString() !== req.user.id) {
+        if (!authorizeOrg(organization, req.user, PERMISSIONS.EDIT_PROFILE)) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to update this organization'
             });
         }
 
+        const updates = {};
+        for (const field of EDITABLE_FIELDS) {
+            if (req.body[field] !== undefined) {
+                updates[field] = req.body[field];
+            }
+        }
+
+        // null clears the location; anything else must be a complete point
+        if (updates.location != null && !isValidLocation(updates.location)) {
+            return res.status(400).json({
+                success: false,
+                message: INVALID_LOCATION_MESSAGE
+            });
+        }
+
         // Update organization
         const updatedOrganization = await Organization.findByIdAndUpdate(
             req.params.id,
-            req.body,
+            updates,
             { new: true, runValidators: true }
         );
 
@@ -93,19 +178,230 @@ const updateOrganization = async (req, res) => {
     }
 };
 
+// Fields loaded for the directory; toPublicOrganization decides what is shown
+const DIRECTORY_FIELDS = 'organizationName description category address location phone workingHours experts services ' +
+    'appointmentDuration daysOff weeklyDaysOff timezone isCurrentlyOpen isVerified reservedSlotsPerDay createdAt';
+
+const DEFAULT_NEARBY_RADIUS_KM = 10;
+const MAX_NEARBY_RADIUS_KM = 200;
+
+// openNow and availableOn are checked per organization; this bounds how many are checked
+const MAX_FILTER_CANDIDATES = 500;
+const FILTER_CONCURRENCY = 10;
+
+// Timezones at the two ends of the UTC offset range, to find every weekday it can be right now
+const EARLIEST_TIMEZONE = 'Etc/GMT+12';
+const LATEST_TIMEZONE = 'Pacific/Kiritimati';
+
+const DIRECTORY_SORTS = {
+    name: { organizationName: 1 },
+    '-name': { organizationName: -1 },
+    newest: { createdAt: -1 },
+    oldest: { createdAt: 1 },
+    verified: { isVerified: -1, organizationName: 1 }
+};
+
+/**
+ * Build the public directory view of an organization
+ * @param {Object} organization - Organization document
+ * @returns {Object} Organization without owner, staff or scheduling internals
+ */
+const toPublicOrganization = (organization) => ({
+    _id: organization._id,
+    organizationName: organization.organizationName,
+    description: organization.description,
+    category: organization.category,
+    address: organization.address,
+    location: organization.location,
+    phone: organization.phone,
+    workingHours: organization.workingHours,
+    // Raw $geoNear documents lack fields added to the schema after they were created
+    experts: (organization.experts || []).map(e => ({
+        name: e.name,
+        specialization: e.specialization,
+        available: e.available
+    })),
+    services: (organization.services || [])
+        .filter(s => s.active !== false)
+        .map(s => ({
+            _id: s._id,
+            name: s.name,
+            description: s.description,
+            duration: s.duration,
+            price: s.price,
+            experts: s.experts
+        })),
+    appointmentDuration: organization.appointmentDuration,
+    daysOff: organization.daysOff,
+    weeklyDaysOff: organization.weeklyDaysOff,
+    timezone: organization.timezone,
+    isCurrentlyOpen: organization.isCurrentlyOpen,
+    isVerified: organization.isVerified,
+    createdAt: organization.createdAt
+});
+
+/**
+ * Check if an organization is open at this moment in its own timezone
+ * @param {Object} organization - Organization document
+ * @returns {Boolean} True if open now
+ */
+const isOpenNow = (organization) => {
+    const now = new Date();
+    const schedule = getScheduleForDate(
+        organization.workingHours,
+        now,
+        organization.daysOff,
+        organization.isCurrentlyOpen,
+        organization.weeklyDaysOff,
+        organization.timezone
+    );
+
+    if (!schedule) {
+        return false;
+    }
+
+    const minutes = getMinutesOfDay(now, organization.timezone);
+    return minutes >= timeToMinutes(schedule.startTime) && minutes < timeToMinutes(schedule.endTime);
+};
+
+/**
+ * Build the query conditions that rule organizations out of openNow and availableOn cheaply,
+ * before the exact per-organization checks
+ * @param {Boolean} openNow - Only organizations open at this moment
+ * @param {String} availableOn - Calendar date (YYYY-MM-DD) that must have free slots
+ * @returns {Array} Conditions for $and
+ */
+const buildAvailabilityConditions = (openNow, availableOn) => {
+    const conditions = [{ isCurrentlyOpen: { $ne: false } }];
+
+    if (openNow) {
+        const now = new Date();
+        const days = [...new Set([EARLIEST_TIMEZONE, 'UTC', LATEST_TIMEZONE].map(tz => getDayName(now, tz)))];
+        conditions.push({ workingHours: { $elemMatch: { day: { $in: days }, isOpen: true } } });
+    }
+
+    if (availableOn) {
+        // A calendar date is the same weekday everywhere; days off are stored at UTC midnight
+        const dayName = getDayName(availableOn, 'UTC');
+        conditions.push(
+            { workingHours: { $elemMatch: { day: dayName, isOpen: true } } },
+            { weeklyDaysOff: { $ne: dayName } },
+            { 'daysOff.date': { $ne: new Date(`${availableOn}T00:00:00Z`) } },
+            { 'experts.available': true }
+        );
+    }
+
+    return conditions;
+};
+
+/**
+ * Check if any available expert still has online slots on a date
+ * @param {Object} organization - Organization document
+ * @param {String} dateStr - Calendar date (YYYY-MM-DD) in the organization's timezone
+ * @returns {Boolean} True if something can be booked that day
+ */
+const hasAvailabilityOn = async (organization, dateStr) => {
+    if (dateStr < toDateString(new Date(), organization.timezone)) {
+        return false;
+    }
+
+    const capacity = await getDailyCapacity(organization, dateStr);
+    return capacity.some(entry => {
+        const expert = organization.experts.find(e => e.name === entry.expertName);
+        return expert.available && entry.onlineRemaining > 0;
+    });
+};
+
 /**
  * @desc    Get all organizations
- * @route   GET /api/organizations
+ * @route   GET /api/organizations?search=&category=&openNow=true&availableOn=YYYY-MM-DD&sort=&page=&limit=
  * @access  Public
  */
 const getAllOrganizations = async (req, res) => {
     try {
-        const organizations = await Organization.find().populate('userId', 'name email phone');
+        const { search, category, openNow, availableOn } = req.query;
+        const { page, limit, skip } = getPagination(req.query);
+
+        if (availableOn && !isValidDate(availableOn)) {
+            return res.status(400).json({
+                success: false,
+                message: 'availableOn must be a date in YYYY-MM-DD format'
+            });
+        }
+
+        const sortKey = req.query.sort || (search ? 'relevance' : 'name');
+        if (sortKey !== 'relevance' && !DIRECTORY_SORTS[sortKey]) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid sort. Must be one of: relevance, ${Object.keys(DIRECTORY_SORTS).join(', ')}`
+            });
+        }
+
+        const query = { status: { $ne: 'suspended' } };
+        if (search) {
+            query.$text = { $search: search };
+        }
+        if (category) {
+            query.category = category;
+        }
+
+        let sort = DIRECTORY_SORTS[sortKey];
+        if (sortKey === 'relevance') {
+            if (!search) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Sorting by relevance requires search'
+                });
+            }
+            sort = { score: { $meta: 'textScore' } };
+        }
+
+        let organizations;
+        let total;
+
+        let truncated = false;
+
+        if (openNow === 'true' || availableOn) {
+            // Opening hours and availability depend on each organization's timezone and
+            // bookings. The query rules out what it can, and the remaining candidates are
+            // checked here, a few at a time, before the page is cut.
+            query.$and = buildAvailabilityConditions(openNow === 'true', availableOn);
+
+            const candidates = await Organization.find(query)
+                .select(DIRECTORY_FIELDS)
+                .sort(sort)
+                .limit(MAX_FILTER_CANDIDATES);
+            truncated = candidates.length === MAX_FILTER_CANDIDATES;
+
+            const open = openNow === 'true' ? candidates.filter(isOpenNow) : candidates;
+            const matches = [];
+
+            for (let i = 0; i < open.length; i += FILTER_CONCURRENCY) {
+                const batch = open.slice(i, i + FILTER_CONCURRENCY);
+                const available = availableOn
+                    ? await Promise.all(batch.map(organization => hasAvailabilityOn(organization, availableOn)))
+                    : batch.map(() => true);
+
+                matches.push(...batch.filter((organization, index) => available[index]));
+            }
+
+            total = matches.length;
+            organizations = matches.slice(skip, skip + limit);
+        } else {
+            [organizations, total] = await Promise.all([
+                Organization.find(query).select(DIRECTORY_FIELDS).sort(sort).skip(skip).limit(limit),
+                Organization.countDocuments(query)
+            ]);
+        }
 
         res.status(200).json({
             success: true,
             count: organizations.length,
-            data: { organizations }
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            ...(truncated && { truncated }),
+            data: { organizations: organizations.map(toPublicOrganization) }
         });
     } catch (error) {
         console.error('Get organizations error:', error);
@@ -117,6 +413,85 @@ const getAllOrganizations = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Get organizations near a point, closest first
+ * @route   GET /api/organizations/nearby?lat=&lng=&radius=&category=&page=&limit=
+ * @access  Public
+ */
+const getNearbyOrganizations = async (req, res) => {
+    try {
+        const { category } = req.query;
+        const lat = parseFloat(req.query.lat);
+        const lng = parseFloat(req.query.lng);
+        const radius = req.query.radius === undefined ? DEFAULT_NEARBY_RADIUS_KM : parseFloat(req.query.radius);
+        const { page, limit, skip } = getPagination(req.query);
+
+        if (Number.isNaN(lat) || Number.isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide valid lat and lng'
+            });
+        }
+
+        if (Number.isNaN(radius) || radius <= 0 || radius > MAX_NEARBY_RADIUS_KM) {
+            return res.status(400).json({
+                success: false,
+                message: `radius must be between 0 and ${MAX_NEARBY_RADIUS_KM} km`
+            });
+        }
+
+        const query = { status: { $ne: 'suspended' } };
+        if (category) {
+            query.category = category;
+        }
+
+        const projection = { distance: 1 };
+        DIRECTORY_FIELDS.split(/\s+/).forEach(field => { projection[field] = 1; });
+
+        const [result] = await Organization.aggregate([
+            {
+                $geoNear: {
+                    near: { type: 'Point', coordinates: [lng, lat] },
+                    distanceField: 'distance',
+                    maxDistance: radius * 1000,
+                    query,
+                    spherical: true
+                }
+            },
+            {
+                $facet: {
+                    organizations: [{ $skip: skip }, { $limit: limit }, { $project: projection }],
+                    total: [{ $count: 'count' }]
+                }
+            }
+        ]);
+
+        const total = result.total.length > 0 ? result.total[0].count : 0;
+
+        res.status(200).json({
+            success: true,
+            count: result.organizations.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: {
+                organizations: result.organizations.map(organization => ({
+                    ...toPublicOrganization(organization),
+                    // Kilometres from the given point
+                    distance: Math.round(organization.distance) / 1000
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Get nearby organizations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
 /**
  * @desc    Get organization by ID
  * @route   GET /api/organizations/:id
@@ -124,9 +499,10 @@ const getAllOrganizations = async (req, res) => {
  */
 const getOrganizationById = async (req, res) => {
     try {
-        const organization = await Organization.findById(req.params.id).populate('userId', 'name email phone');
+        const organization = await Organization.findById(req.params.id).select('-staff');
 
-        if (!organization) {
+        // Suspended organizations are hidden from the public, as in the directory
+        if (!organization || organization.status === 'suspended') {
             return res.status(404).json({
                 success: false,
                 message: 'Organization not found'
@@ -148,27 +524,244 @@ const getOrganizationById = async (req, res) => {
 };
 
 /**
- * @desc    Get organization by user ID
- * @route   GET /api/organizations/user/:userId
- * @access  Private
+ * @desc    Get bookable slots for a day
+ * @route   GET /api/organizations/:id/slots?date=YYYY-MM-DD&expert=&service=
+ * @access  Public
  */
-const getOrganizationByUserId = async (req, res) => {
+const getOrganizationSlots = async (req, res) => {
     try {
-        const organization = await Organization.findOne({ userId: req.params.userId });
+        const { date, expert: expertName, service: serviceId } = req.query;
+
+        if (!isValidDate(date)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide date in YYYY-MM-DD format'
+            });
+        }
+
+        const organization = await Organization.findById(req.params.id);
+
+        if (!organization || organization.status === 'suspended') {
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found'
+            });
+        }
+
+        let experts = organization.experts;
+        if (expertName) {
+            experts = experts.filter(e => e.name === expertName);
+            if (experts.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Expert not found'
+                });
+            }
+        }
+
+        // With a service, only its experts are listed and slots must fit its duration
+        let duration = organization.appointmentDuration;
+        if (serviceId) {
+            const service = organization.services.id(serviceId);
+            if (!service || !service.active) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Service not found'
+                });
+            }
+
+            duration = service.duration;
+            if (service.experts.length > 0) {
+                experts = experts.filter(e => service.experts.includes(e.name));
+            }
+        }
+
+        const isOpen = generateTimeSlots(
+            organization.workingHours,
+            date,
+            organization.appointmentDuration,
+            organization.daysOff,
+            organization.isCurrentlyOpen,
+            organization.weeklyDaysOff,
+            organization.timezone
+        ).length > 0;
+        const taken = isOpen ? await getTakenSlots(organization._id, date, organization.timezone) : {};
+        const usage = isOpen ? await getDailyUsage(organization._id, date, null, organization.timezone) : {};
+
+        // Times already gone in the organization's timezone can't be booked (see validateSlot)
+        const now = new Date();
+        const todayStr = toDateString(now, organization.timezone);
+        const nowMinutes = getMinutesOfDay(now, organization.timezone);
+        const isPast = (time) => date < todayStr || (date === todayStr && timeToMinutes(time) < nowMinutes);
+
+        const expertSlots = experts.map(expert => {
+            const times = generateExpertTimeSlots(organization, expert, date);
+            const takenTimes = taken[expert.name] || new Set();
+            const { onlineRemaining } = summarizeCapacity(
+                getExpertDailyCapacity(expert, times.length),
+                organization.reservedSlotsPerDay || 0,
+                usage[expert.name]
+            );
+            const bookable = expert.available && onlineRemaining > 0;
+
+            return {
+                name: expert.name,
+                specialization: expert.specialization,
+                available: expert.available,
+                onlineRemaining,
+                slots: times.map(time => ({
+                    time,
+                    past: isPast(time),
+                    available: bookable &&
+                        !isPast(time) &&
+                        isExpertWorking(organization, expert, date, time, duration) &&
+                        getOccupiedSlots(times, time, duration, organization.appointmentDuration).every(t => !takenTimes.has(t))
+                }))
+            };
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                date,
+                isOpen,
+                appointmentDuration: organization.appointmentDuration,
+                duration,
+                experts: expertSlots
+            }
+        });
+    } catch (error) {
+        console.error('Get organization slots error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Check that every expert named by a service exists
+ * @param {Object} organization - Organization document
+ * @param {Array} expertNames - Expert names
+ * @returns {Array} Names that do not match an expert
+ */
+const findUnknownExperts = (organization, expertNames = []) =>
+    expertNames.filter(name => !organization.experts.some(e => e.name === name));
+
+/**
+ * @desc    Add a service to the catalog
+ * @route   POST /api/organizations/:id/services
+ * @access  Private (organization role only)
+ */
+const addService = async (req, res) => {
+    try {
+        const { name, description, duration, price, experts, active } = req.body;
+
+        if (!name || !duration) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide service name and duration'
+            });
+        }
+
+        const organization = await Organization.findById(req.params.id);
 
         if (!organization) {
             return res.status(404).json({
                 success: false,
-                message: 'Organization not found for this user'
+                message: 'Organization not found'
             });
         }
 
+        // Check if user owns this organization
+        if (!authorizeOrg(organization, req.user, PERMISSIONS.MANAGE_SERVICES)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this organization'
+            });
+        }
+
+        const unknownExperts = findUnknownExperts(organization, experts);
+        if (unknownExperts.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown experts: ${unknownExperts.join(', ')}`
+            });
+        }
+
+        organization.services.push({ name, description, duration, price, experts, active });
+        await organization.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Service added successfully',
+            data: { service: organization.services[organization.services.length - 1] }
+        });
+    } catch (error) {
+        console.error('Add service error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Update a catalog service
+ * @route   PUT /api/organizations/:id/services/:serviceId
+ * @access  Private (organization role only)
+ */
+const updateService = async (req, res) => {
+    try {
+        const organization = await Organization.findById(req.params.id);
+
+        if (!organization) {
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found'
+            });
+        }
+
+        // Check if user owns this organization
+        if (!authorizeOrg(organization, req.user, PERMISSIONS.MANAGE_SERVICES)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this organization'
+            });
+        }
+
+        const service = organization.services.id(req.params.serviceId);
+        if (!service) {
+            return res.status(404).json({
+                success: false,
+                message: 'Service not found'
+            });
+        }
+
+        const unknownExperts = findUnknownExperts(organization, req.body.experts);
+        if (unknownExperts.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown experts: ${unknownExperts.join(', ')}`
+            });
+        }
+
+        ['name', 'description', 'duration', 'price', 'experts', 'active'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                service[field] = req.body[field];
+            }
+        });
+        await organization.save();
+
         res.status(200).json({
             success: true,
-            data: { organization }
+            message: 'Service updated successfully',
+            data: { service }
         });
     } catch (error) {
-        console.error('Get organization by user error:', error);
+        console.error('Update service error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error',
@@ -178,11 +771,11 @@ const getOrganizationByUserId = async (req, res) => {
 };
 
 /**
- * @desc    Get organization analytics
- * @route   GET /api/organizations/:id/analytics
+ * @desc    Remove a service from the catalog
+ * @route   DELETE /api/organizations/:id/services/:serviceId
  * @access  Private (organization role only)
  */
-const getOrganizationAnalytics = async (req, res) => {
+const deleteService = async (req, res) => {
     try {
         const organization = await Organization.findById(req.params.id);
 
@@ -194,77 +787,424 @@ const getOrganizationAnalytics = async (req, res) => {
         }
 
         // Check if user owns this organization
-        if (organization.userId.toString() !== req.user.id) {
+        if (!authorizeOrg(organization, req.user, PERMISSIONS.MANAGE_SERVICES)) {
             return res.status(403).json({
                 success: false,
-                message: 'Not authorized to view this organization analytics'
+                message: 'Not authorized to update this organization'
+            });
+        }
+
+        const service = organization.services.id(req.params.serviceId);
+        if (!service) {
+            return res.status(404).json({
+                success: false,
+                message: 'Service not found'
+            });
+        }
+
+        // Existing appointments keep their own copy of the service name and duration
+        service.deleteOne();
+        await organization.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Service removed successfully'
+        });
+    } catch (error) {
+        console.error('Delete service error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Build the view of a staff entry returned to the owner
+ * @param {Object} member - Staff subdocument
+ * @returns {Object} Staff entry without the invitation secret
+ */
+const toStaffEntry = (member) => ({
+    id: member._id,
+    userId: member.userId,
+    email: member.email,
+    role: member.role,
+    expertName: member.expertName,
+    status: member.status,
+    invitedAt: member.invitedAt,
+    joinedAt: member.joinedAt
+});
+
+/**
+ * @desc    Invite a staff member
+ * @route   POST /api/organizations/:id/staff
+ * @access  Private (organization owner)
+ */
+const inviteStaff = async (req, res) => {
+    try {
+        const { email, role, expertName } = req.body;
+
+        if (!email || !role) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide email and role'
+            });
+        }
+
+        if (!['receptionist', 'expert'].includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid role. Must be either "receptionist" or "expert"'
+            });
+        }
+
+        const organization = await Organization.findById(req.params.id);
+
+        if (!organization) {
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found'
+            });
+        }
+
+        if (!authorizeOrg(organization, req.user, PERMISSIONS.MANAGE_STAFF)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to manage staff of this organization'
+            });
+        }
+
+        if (role === 'expert' && !organization.experts.some(e => e.name === expertName)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Expert staff must be linked to an existing expert'
+            });
+        }
+
+        const normalizedEmail = email.toLowerCase().trim();
+        if (organization.staff.some(s => s.email === normalizedEmail)) {
+            return res.status(400).json({
+                success: false,
+                message: 'This email has already been invited'
             });
         }
 
-        // Get today's date range
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const tomorrow = new Date(today);
-        tomorrow.setDate(tomorrow.getDate() + 1);
+        const { token, tokenHash, expiresAt } = generateOneTimeToken(STAFF_INVITE_DAYS * 24 * 60);
 
-        // Get analytics
-        const totalAppointments = await Appointment.countDocuments({
-            organizationId: req.params.id
+        organization.staff.push({
+            email: normalizedEmail,
+            role,
+            expertName: role === 'expert' ? expertName : undefined,
+            inviteTokenHash: tokenHash,
+            inviteExpires: expiresAt
         });
+        await organization.save();
 
-        const todayAppointments = await Appointment.countDocuments({
-            organizationId: req.params.id,
-            appointmentDate: { $gte: today, $lt: tomorrow }
+        const baseUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+        await sendMail({
+            to: normalizedEmail,
+            subject: `You're invited to join ${organization.organizationName}`,
+            text: `You've been invited to join ${organization.organizationName} as ${role === 'expert' ? `expert (${expertName})` : 'receptionist'}.\n\nSign up or log in with a staff account for this email, then accept the invitation. It expires in ${STAFF_INVITE_DAYS} days.\n\n${baseUrl}/accept-invite?token=${token}`
         });
 
-        const pendingAppointments = await Appointment.countDocuments({
-            organizationId: req.params.id,
-            status: 'pending'
+        res.status(201).json({
+            success: true,
+            message: 'Staff member invited successfully',
+            data: { staff: toStaffEntry(organization.staff[organization.staff.length - 1]) }
         });
+    } catch (error) {
+        console.error('Invite staff error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Accept a staff invitation
+ * @route   POST /api/organizations/staff/accept
+ * @access  Private (staff role only)
+ */
+const acceptStaffInvite = async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide token'
+            });
+        }
+
+        const tokenHash = hashToken(token);
+        const organization = await Organization.findOne({ 'staff.inviteTokenHash': tokenHash })
+            .select('+staff.inviteTokenHash');
+
+        const member = organization && organization.staff.find(s => s.inviteTokenHash === tokenHash);
+
+        if (!member || member.status !== 'invited' || member.inviteExpires < new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invitation is invalid or has expired'
+            });
+        }
 
-        const inProgressAppointments = await Appointment.countDocuments({
-            organizationId: req.params.id,
-            status: 'in-progress'
+        if (member.email !== req.user.email) {
+            return res.status(403).json({
+                success: false,
+                message: 'This invitation was sent to a different email address'
+            });
+        }
+
+        // A staff account works for a single organization
+        const existingMembership = await Organization.findOne({
+            staff: { $elemMatch: { userId: req.user._id, status: 'active' } }
         });
+        if (existingMembership) {
+            return res.status(400).json({
+                success: false,
+                message: 'You are already a staff member of an organization'
+            });
+        }
+
+        member.userId = req.user._id;
+        member.status = 'active';
+        member.joinedAt = new Date();
+        member.inviteTokenHash = undefined;
+        member.inviteExpires = undefined;
+        await organization.save();
 
-        const completedAppointments = await Appointment.countDocuments({
-            organizationId: req.params.id,
-            status: 'completed'
+        res.status(200).json({
+            success: true,
+            message: 'Invitation accepted',
+            data: {
+                organizationId: organization._id,
+                organizationName: organization.organizationName,
+                staff: toStaffEntry(member)
+            }
         });
+    } catch (error) {
+        console.error('Accept staff invite error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    List staff members and pending invitations
+ * @route   GET /api/organizations/:id/staff
+ * @access  Private (organization owner)
+ */
+const getStaff = async (req, res) => {
+    try {
+        const organization = await Organization.findById(req.params.id)
+            .populate('staff.userId', 'name email phone');
+
+        if (!organization) {
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found'
+            });
+        }
 
-        const cancelledAppointments = await Appointment.countDocuments({
-            organizationId: req.params.id,
-            status: 'cancelled'
+        if (!authorizeOrg(organization, req.user, PERMISSIONS.MANAGE_STAFF)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to manage staff of this organization'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            count: organization.staff.length,
+            data: { staff: organization.staff.map(toStaffEntry) }
+        });
+    } catch (error) {
+        console.error('Get staff error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
         });
+    }
+};
 
-        const todayCompleted = await Appointment.countDocuments({
-            organizationId: req.params.id,
-            appointmentDate: { $gte: today, $lt: tomorrow },
-            status: 'completed'
+/**
+ * @desc    Remove a staff member or revoke an invitation
+ * @route   DELETE /api/organizations/:id/staff/:staffId
+ * @access  Private (organization owner)
+ */
+const removeStaff = async (req, res) => {
+    try {
+        const organization = await Organization.findById(req.params.id);
+
+        if (!organization) {
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found'
+            });
+        }
+
+        if (!authorizeOrg(organization, req.user, PERMISSIONS.MANAGE_STAFF)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to manage staff of this organization'
+            });
+        }
+
+        const member = organization.staff.id(req.params.staffId);
+        if (!member) {
+            return res.status(404).json({
+                success: false,
+                message: 'Staff member not found'
+            });
+        }
+
+        member.deleteOne();
+        await organization.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Staff member removed successfully'
         });
+    } catch (error) {
+        console.error('Remove staff error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get organization by user ID
+ * @route   GET /api/organizations/user/:userId
+ * @access  Private
+ */
+const getOrganizationByUserId = async (req, res) => {
+    try {
+        // Owners and active staff both resolve to the organization they work for
+        const organization = await Organization.findOne({
+            $or: [
+                { userId: req.params.userId },
+                { staff: { $elemMatch: { userId: req.params.userId, status: 'active' } } }
+            ]
+        }).select('-staff');
+
+        if (!organization) {
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found for this user'
+            });
+        }
 
-        const todayPending = await Appointment.countDocuments({
-            organizationId: req.params.id,
-            appointmentDate: { $gte: today, $lt: tomorrow },
-            status: 'pending'
+        res.status(200).json({
+            success: true,
+            data: { organization }
+        });
+    } catch (error) {
+        console.error('Get organization by user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
         });
+    }
+};
+
+/**
+ * @desc    Get organization analytics for a range of days
+ * @route   GET /api/organizations/:id/analytics?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * @access  Private (organization role only)
+ */
+const getOrganizationAnalytics = async (req, res) => {
+    try {
+        const organization = await Organization.findById(req.params.id);
+
+        if (!organization) {
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found'
+            });
+        }
+
+        // Check if user owns this organization
+        if (!authorizeOrg(organization, req.user, PERMISSIONS.VIEW_ANALYTICS)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this organization analytics'
+            });
+        }
+
+        // Default to the last ANALYTICS_DEFAULT_DAYS days, today included
+        const todayStr = toDateString(new Date(), organization.timezone);
+        const to = req.query.to || todayStr;
+        const from = req.query.from || addDays(to, 1 - ANALYTICS_DEFAULT_DAYS);
+
+        if (![from, to].every(isValidDate)) {
+            return res.status(400).json({
+                success: false,
+                message: 'from and to must be dates in YYYY-MM-DD format'
+            });
+        }
+
+        if (from > to) {
+            return res.status(400).json({
+                success: false,
+                message: 'from must not be after to'
+            });
+        }
+
+        if (addDays(from, ANALYTICS_MAX_DAYS) <= to) {
+            return res.status(400).json({
+                success: false,
+                message: `Date range cannot be longer than ${ANALYTICS_MAX_DAYS} days`
+            });
+        }
+
+        const [analytics, todayCapacity] = await Promise.all([
+            buildAnalytics(organization, from, to),
+            getDailyCapacity(organization, getDayBounds(todayStr, organization.timezone).startOfDay)
+        ]);
 
         res.status(200).json({
             success: true,
             data: {
                 analytics: {
-                    total: totalAppointments,
+                    range: { from, to },
+                    total: analytics.overall.total,
                     today: {
-                        total: todayAppointments,
-                        completed: todayCompleted,
-                        pending: todayPending
+                        total: analytics.today.total,
+                        completed: analytics.today.completed,
+                        pending: analytics.today.pending,
+                        checkedIn: analytics.today.checkedIn,
+                        noShow: analytics.today.noShow,
+                        reservedSlotsRemaining: todayCapacity.reduce((sum, e) => sum + e.reservedRemaining, 0),
+                        onlineSlotsRemaining: todayCapacity.reduce((sum, e) => sum + e.onlineRemaining, 0),
+                        capacity: todayCapacity
                     },
                     overall: {
-                        pending: pendingAppointments,
-                        inProgress: inProgressAppointments,
-                        completed: completedAppointments,
-                        cancelled: cancelledAppointments
-                    }
+                        pending: analytics.overall.pending,
+                        checkedIn: analytics.overall.checkedIn,
+                        inProgress: analytics.overall.inProgress,
+                        completed: analytics.overall.completed,
+                        cancelled: analytics.overall.cancelled,
+                        noShow: analytics.overall.noShow
+                    },
+                    summary: analytics.summary,
+                    timeSeries: analytics.timeSeries,
+                    byExpert: analytics.byExpert,
+                    byService: analytics.byService,
+                    peakHours: analytics.peakHours,
+                    byWeekday: analytics.byWeekday,
+                    utilization: analytics.utilization
                 }
             }
         });
@@ -282,7 +1222,16 @@ module.exports = {
     createOrganization,
     updateOrganization,
     getAllOrganizations,
+    getNearbyOrganizations,
     getOrganizationById,
+    getOrganizationSlots,
+    addService,
+    updateService,
+    deleteService,
+    inviteStaff,
+    acceptStaffInvite,
+    getStaff,
+    removeStaff,
     getOrganizationByUserId,
     getOrganizationAnalytics
 };
@@ -0,0 +1,353 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Organization = require('../models/Organization');
+const { resolveService, validateSlot } = require('../utils/bookingUtils');
+const { bookWaitlistEntry, promoteWaitlist } = require('../utils/waitlistUtils');
+const { isValidDate, toDateString, getDayBounds } = require('../utils/dateUtils');
+const { PERMISSIONS, authorizeOrg } = require('../utils/permissions');
+
+/**
+ * @desc    Join the waitlist for an expert's day, optionally for one time
+ * @route   POST /api/waitlist
+ * @access  Private (user role only)
+ */
+const joinWaitlist = async (req, res) => {
+    try {
+        const { organizationId, expertName, serviceId, serviceName, appointmentDate, appointmentTime, autoBook, notes } = req.body;
+
+        // Validate required fields
+        if (!organizationId || !expertName || !(serviceId || serviceName) || !appointmentDate) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide all required fields'
+            });
+        }
+
+        if (!isValidDate(appointmentDate)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a valid appointment date (YYYY-MM-DD)'
+            });
+        }
+
+        const organization = await Organization.findById(organizationId);
+        if (!organization || organization.status === 'suspended') {
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found'
+            });
+        }
+
+        const expert = organization.experts.find(e => e.name === expertName);
+        if (!expert) {
+            return res.status(404).json({
+                success: false,
+                message: 'Expert not found'
+            });
+        }
+
+        const { service, error: serviceError } = resolveService(organization, serviceId, serviceName, expertName);
+        if (serviceError) {
+            return res.status(serviceError.status).json({
+                success: false,
+                message: serviceError.message
+            });
+        }
+
+        const timeZone = organization.timezone;
+        if (toDateString(appointmentDate, timeZone) < toDateString(new Date(), timeZone)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot join the waitlist for a past date'
+            });
+        }
+
+        // Only a taken slot is worth waiting for; one that is free or can never be booked is not
+        if (appointmentTime) {
+            const slotError = await validateSlot(organization, appointmentDate, appointmentTime, expertName, service.duration);
+            if (!slotError) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This slot is available. Please book it directly'
+                });
+            }
+            if (slotError.status !== 409) {
+                return res.status(slotError.status).json({
+                    success: false,
+                    message: slotError.message
+                });
+            }
+        }
+
+        const day = getDayBounds(appointmentDate, timeZone).startOfDay;
+
+        const existingEntry = await WaitlistEntry.findOne({
+            userId: req.user.id,
+            organizationId,
+            expertName,
+            appointmentDate: day,
+            status: { $in: ['waiting', 'offered'] }
+        });
+        if (existingEntry) {
+            return res.status(400).json({
+                success: false,
+                message: 'You are already on the waitlist for this expert and day'
+            });
+        }
+
+        const entry = await WaitlistEntry.create({
+            userId: req.user.id,
+            organizationId,
+            expertName,
+            serviceId: service._id,
+            serviceName: service.name,
+            duration: service.duration,
+            appointmentDate: day,
+            appointmentTime,
+            autoBook: Boolean(autoBook),
+            notes
+        });
+
+        const position = await WaitlistEntry.countDocuments({
+            organizationId,
+            expertName,
+            appointmentDate: day,
+            status: 'waiting',
+            createdAt: { $lte: entry.createdAt }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Added to the waitlist',
+            data: { entry, position }
+        });
+    } catch (error) {
+        console.error('Join waitlist error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get the current user's waitlist entries
+ * @route   GET /api/waitlist/user?status=
+ * @access  Private (user role only)
+ */
+const getUserWaitlist = async (req, res) => {
+    try {
+        const query = { userId: req.user.id };
+        if (req.query.status) {
+            query.status = { $in: String(req.query.status).split(',') };
+        }
+
+        const entries = await WaitlistEntry.find(query)
+            .populate('organizationId', 'organizationName category address phone')
+            .sort({ appointmentDate: 1, createdAt: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: entries.length,
+            data: { entries }
+        });
+    } catch (error) {
+        console.error('Get user waitlist error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get an organization's waitlist for a day
+ * @route   GET /api/waitlist/organization/:orgId?date=YYYY-MM-DD&expert=
+ * @access  Private (organization members; experts see their own waitlist)
+ */
+const getOrganizationWaitlist = async (req, res) => {
+    try {
+        const organization = await Organization.findById(req.params.orgId);
+        if (!organization) {
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found'
+            });
+        }
+
+        const membership = authorizeOrg(organization, req.user, PERMISSIONS.VIEW_APPOINTMENTS);
+        if (!membership) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this waitlist'
+            });
+        }
+
+        if (req.query.date && !isValidDate(req.query.date)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a valid date (YYYY-MM-DD)'
+            });
+        }
+
+        const { startOfDay, endOfDay } = getDayBounds(req.query.date || new Date(), organization.timezone);
+        const query = {
+            organizationId: organization._id,
+            appointmentDate: { $gte: startOfDay, $lte: endOfDay },
+            status: { $in: ['waiting', 'offered'] }
+        };
+
+        if (membership.expertName) {
+            query.expertName = membership.expertName;
+        } else if (req.query.expert) {
+            query.expertName = req.query.expert;
+        }
+
+        const entries = await WaitlistEntry.find(query)
+            .populate('userId', 'name email phone')
+            .sort({ expertName: 1, createdAt: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: entries.length,
+            data: { entries }
+        });
+    } catch (error) {
+        console.error('Get organization waitlist error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Claim an offered slot
+ * @route   POST /api/waitlist/:id/claim
+ * @access  Private (user role only)
+ */
+const claimWaitlistOffer = async (req, res) => {
+    try {
+        const entry = await WaitlistEntry.findById(req.params.id).populate('userId', 'name email role');
+
+        // userId is null once the account behind the entry has been deleted
+        if (!entry || !entry.userId || entry.userId._id.toString() !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Waitlist entry not found'
+            });
+        }
+
+        if (entry.status !== 'offered' || entry.offer.expiresAt <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'There is no open offer for this waitlist entry'
+            });
+        }
+
+        const organization = await Organization.findById(entry.organizationId);
+
+        if (!organization || organization.status === 'suspended') {
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found'
+            });
+        }
+
+        // The offer's own hold is ignored; everything else must still allow the booking
+        const slotError = await validateSlot(
+            organization,
+            entry.appointmentDate,
+            entry.offer.appointmentTime,
+            entry.expertName,
+            entry.duration,
+            null,
+            entry._id
+        );
+        if (slotError) {
+            return res.status(slotError.status).json({
+                success: false,
+                message: slotError.message
+            });
+        }
+
+        const appointment = await bookWaitlistEntry(organization, entry, entry.offer.appointmentTime);
+        if (!appointment) {
+            return res.status(400).json({
+                success: false,
+                message: 'There is no open offer for this waitlist entry'
+            });
+        }
+
+        await appointment.populate('userId', 'name email phone');
+        await appointment.populate('organizationId', 'organizationName category');
+
+        res.status(201).json({
+            success: true,
+            message: 'Appointment booked successfully',
+            data: { appointment }
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'This slot was just booked by someone else'
+            });
+        }
+
+        console.error('Claim waitlist offer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Leave the waitlist, declining any open offer
+ * @route   DELETE /api/waitlist/:id
+ * @access  Private (user role only)
+ */
+const leaveWaitlist = async (req, res) => {
+    try {
+        const entry = await WaitlistEntry.findOneAndUpdate(
+            { _id: req.params.id, userId: req.user.id, status: { $in: ['waiting', 'offered'] } },
+            { $set: { status: 'cancelled', updatedAt: Date.now() } }
+        );
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Waitlist entry not found'
+            });
+        }
+
+        // A declined offer goes to the next person in line
+        if (entry.status === 'offered') {
+            await promoteWaitlist(entry.organizationId, entry.expertName, entry.appointmentDate);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Removed from the waitlist'
+        });
+    } catch (error) {
+        console.error('Leave waitlist error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    joinWaitlist,
+    getUserWaitlist,
+    getOrganizationWaitlist,
+    claimWaitlistOffer,
+    leaveWaitlist
+};
@@ -26,6 +26,21 @@ const auth = async (req, res, next) => {
             });
         }
 
+        // Reject tokens issued before the user logged out everywhere
+        if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Token has been revoked'
+            });
+        }
+
+        if (user.status === 'suspended') {
+            return res.status(403).json({
+                success: false,
+                message: 'Account is suspended'
+            });
+        }
+
         // Attach user to request
         req.user = user;
         next();
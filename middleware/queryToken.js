@@ -0,0 +1,12 @@
+/**
+ * Accept the auth token as a ?token= query parameter.
+ * EventSource cannot send headers, so streaming routes put this before auth.
+ */
+const queryToken = (req, res, next) => {
+    if (!req.header('Authorization') && req.query.token) {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    next();
+};
+
+module.exports = queryToken;
@@ -0,0 +1,95 @@
+const { defaultStore } = require('../utils/rateLimitStore');
+
+/**
+ * Create a rate limiting middleware
+ * @param {Object} options - { name, windowMs, max, keyGenerator, message, store }
+ * @returns {Function} Express middleware
+ */
+const rateLimit = ({
+    name,
+    windowMs,
+    max,
+    keyGenerator = (req) => req.ip,
+    message = 'Too many requests, please try again later',
+    store = defaultStore
+}) => {
+    return async (req, res, next) => {
+        try {
+            const key = keyGenerator(req);
+
+            // Nothing to count against, e.g. a login request without an email
+            if (!key) {
+                return next();
+            }
+
+            const { count, resetAt } = await store.increment(`${name}:${key}`, windowMs);
+
+            res.set('X-RateLimit-Limit', String(max));
+            res.set('X-RateLimit-Remaining', String(Math.max(max - count, 0)));
+
+            if (count > max) {
+                res.set('Retry-After', String(Math.ceil((resetAt - Date.now()) / 1000)));
+                return res.status(429).json({
+                    success: false,
+                    message
+                });
+            }
+
+            next();
+        } catch (error) {
+            // Fail open: a broken store shouldn't take the API down
+            console.error('Rate limit error:', error);
+            next();
+        }
+    };
+};
+
+/**
+ * Read a limit from the environment
+ * @param {String} name - Environment variable
+ * @param {Number} fallback - Default value
+ * @returns {Number} Configured value
+ */
+const envNumber = (name, fallback) => Number(process.env[name]) || fallback;
+
+// Per-IP cap on login attempts, whichever accounts they target
+const loginIpLimiter = rateLimit({
+    name: 'login-ip',
+    windowMs: envNumber('LOGIN_RATE_LIMIT_WINDOW_MINUTES', 15) * 60 * 1000,
+    max: envNumber('LOGIN_RATE_LIMIT_PER_IP', 20),
+    message: 'Too many login attempts from this IP, please try again later'
+});
+
+// Per-account cap on login attempts, whichever IPs they come from
+const loginAccountLimiter = rateLimit({
+    name: 'login-account',
+    windowMs: envNumber('LOGIN_RATE_LIMIT_WINDOW_MINUTES', 15) * 60 * 1000,
+    max: envNumber('LOGIN_RATE_LIMIT_PER_ACCOUNT', 10),
+    keyGenerator: (req) => (typeof req.body.email === 'string' ? req.body.email.toLowerCase().trim() : null),
+    message: 'Too many login attempts for this account, please try again later'
+});
+
+// Per-IP cap on password reset emails, whichever accounts they target
+const passwordResetIpLimiter = rateLimit({
+    name: 'password-reset-ip',
+    windowMs: envNumber('PASSWORD_RESET_RATE_LIMIT_WINDOW_MINUTES', 15) * 60 * 1000,
+    max: envNumber('PASSWORD_RESET_RATE_LIMIT_PER_IP', 5),
+    message: 'Too many password reset requests from this IP, please try again later'
+});
+
+// Per-user cap on bookings; runs after auth
+const bookingLimiter = rateLimit({
+    name: 'booking',
+    windowMs: envNumber('BOOKING_RATE_LIMIT_WINDOW_MINUTES', 60) * 60 * 1000,
+    max: envNumber('BOOKING_RATE_LIMIT_MAX', 10),
+    keyGenerator: (req) => req.user && req.user.id,
+    message: 'Too many bookings, please try again later'
+});
+
+module.exports = {
+    rateLimit,
+    loginIpLimiter,
+    loginAccountLimiter,
+    passwordResetIpLimiter,
+    bookingLimiter
+};
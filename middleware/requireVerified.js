@@ -0,0 +1,19 @@
+const requireVerified = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({
+            success: false,
+            message: 'Authentication required'
+        });
+    }
+
+    if (!req.user.isEmailVerified()) {
+        return res.status(403).json({
+            success: false,
+            message: 'Please verify your email address first'
+        });
+    }
+
+    next();
+};
+
+module.exports = requireVerified;
@@ -1,10 +1,25 @@
 const mongoose = require('mongoose');
+const { STATUSES, ACTIVE_STATUSES } = require('../utils/appointmentStatus');
 
 const appointmentSchema = new mongoose.Schema({
+    // Walk-ins registered at reception have no account
     userId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true
+        required: function () {
+            return this.source !== 'offline';
+        }
+    },
+    patientName: {
+        type: String,
+        trim: true,
+        required: [function () {
+            return this.source === 'offline';
+        }, 'Patient name is required']
+    },
+    patientPhone: {
+        type: String,
+        trim: true
     },
     organizationId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -16,11 +31,20 @@ const appointmentSchema = new mongoose.Schema({
         required: [true, 'Expert name is required'],
         trim: true
     },
+    // Catalog entry the booking was made for; absent when the organization has no catalog
+    serviceId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
     serviceName: {
         type: String,
         required: [true, 'Service name is required'],
         trim: true
     },
+    // Length of the booked service in minutes
+    duration: {
+        type: Number,
+        min: 5
+    },
     appointmentDate: {
         type: Date,
         required: [true, 'Appointment date is required']
@@ -30,11 +54,29 @@ const appointmentSchema = new mongoose.Schema({
         required: [true, 'Appointment time is required'],
         match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please provide time in HH:MM format']
     },
+    // Start times of every slot the service covers (see getOccupiedSlots)
+    occupiedSlots: [{
+        type: String
+    }],
     status: {
         type: String,
-        enum: ['pending', 'in-progress', 'completed', 'cancelled'],
+        enum: STATUSES,
         default: 'pending'
     },
+    source: {
+        type: String,
+        enum: ['online', 'offline'],
+        default: 'online'
+    },
+    // Printable token issued to walk-ins, sequential per organization per day
+    tokenNumber: {
+        type: Number
+    },
+    // Walk-in appended to the queue without a time slot because the day is full
+    queueOnly: {
+        type: Boolean,
+        default: false
+    },
     queuePosition: {
         type: Number,
         default: 0
@@ -43,10 +85,68 @@ const appointmentSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Mirrors whether status is active; backs the unique slot index below
+    holdsSlot: {
+        type: Boolean,
+        default: true
+    },
+    // Slots this appointment was moved from, oldest (the original booking) first
+    rescheduledFrom: [{
+        appointmentDate: Date,
+        appointmentTime: String,
+        expertName: String,
+        rescheduledAt: {
+            type: Date,
+            default: Date.now
+        },
+        rescheduledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    }],
     notes: {
         type: String,
         trim: true
     },
+    // Reminder offsets (minutes before the start) already sent; cleared on reschedule
+    remindersSent: [{
+        type: Number
+    }],
+    // Audit trail of everything that happened to the appointment, oldest first
+    history: [{
+        action: {
+            type: String,
+            enum: ['created', 'status-changed', 'rescheduled', 'notes-updated'],
+            required: true
+        },
+        fromStatus: {
+            type: String,
+            enum: STATUSES
+        },
+        toStatus: {
+            type: String,
+            enum: STATUSES
+        },
+        actor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        actorRole: {
+            type: String
+        },
+        reason: {
+            type: String,
+            trim: true
+        },
+        // Action-specific values, e.g. the previous and new slot of a reschedule
+        details: {
+            type: mongoose.Schema.Types.Mixed
+        },
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     createdAt: {
         type: Date,
         default: Date.now
@@ -60,11 +160,46 @@ const appointmentSchema = new mongoose.Schema({
 // Update the updatedAt timestamp before saving
 appointmentSchema.pre('save', function (next) {
     this.updatedAt = Date.now();
+    // Older documents predate occupiedSlots; hold at least their own start time so they
+    // don't all collide on an empty key in the unique slot index
+    if (!this.occupiedSlots || this.occupiedSlots.length === 0) {
+        this.occupiedSlots = [this.appointmentTime];
+    }
+    this.holdsSlot = !this.queueOnly && ACTIVE_STATUSES.includes(this.status);
     next();
 });
 
+/**
+ * Build a history entry for an action taken by a user
+ * @param {String} action - created, status-changed, rescheduled or notes-updated
+ * @param {Object} user - User who acted (req.user)
+ * @param {Object} fields - fromStatus, toStatus, reason, details
+ * @returns {Object} History entry
+ */
+appointmentSchema.statics.historyEntry = function (action, user, fields = {}) {
+    return {
+        action,
+        actor: user ? user._id : undefined,
+        actorRole: user ? user.role : undefined,
+        at: new Date(),
+        ...fields
+    };
+};
+
+// Append a history entry; saved with the document
+appointmentSchema.methods.recordHistory = function (action, user, fields = {}) {
+    this.history.push(this.constructor.historyEntry(action, user, fields));
+};
+
 // Index for efficient queries
 appointmentSchema.index({ organizationId: 1, appointmentDate: 1, status: 1 });
 appointmentSchema.index({ userId: 1, status: 1 });
 
+// Only one active appointment may hold an organization/expert/date/time slot.
+// occupiedSlots is an array, so uniqueness applies to every slot a longer service covers.
+appointmentSchema.index(
+    { organizationId: 1, expertName: 1, appointmentDate: 1, occupiedSlots: 1 },
+    { unique: true, partialFilterExpression: { holdsSlot: true } }
+);
+
 module.exports = mongoose.model('Appointment', appointmentSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Named sequences incremented atomically, e.g. daily token numbers
+const counterSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
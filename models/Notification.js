@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// In-app notifications; email and SMS copies are not stored
+const notificationSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: [
+            'appointment-booked',
+            'appointment-status',
+            'appointment-rescheduled',
+            'appointment-cancelled',
+            'appointment-reminder',
+            'waitlist-offer',
+            'waitlist-booked'
+        ],
+        required: true
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    message: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    appointmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment'
+    },
+    readAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
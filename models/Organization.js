@@ -1,4 +1,30 @@
 const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../utils/dateUtils');
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const TIME_MATCH = [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please provide time in HH:MM format'];
+
+const workingHoursSchema = {
+    day: {
+        type: String,
+        enum: DAYS,
+        required: true
+    },
+    startTime: {
+        type: String,
+        required: true,
+        match: TIME_MATCH
+    },
+    endTime: {
+        type: String,
+        required: true,
+        match: TIME_MATCH
+    },
+    isOpen: {
+        type: Boolean,
+        default: true
+    }
+};
 
 const organizationSchema = new mongoose.Schema({
     userId: {
@@ -22,43 +48,142 @@ const organizationSchema = new mongoose.Schema({
         enum: ['Hospital', 'Clinic', 'Bank', 'Service Center', 'Government Office', 'Other'],
         default: 'Other'
     },
-    workingHours: [{
-        day: {
-            type: String,
-            enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
-            required: true
-        },
-        startTime: {
+    workingHours: [workingHoursSchema],
+    experts: [{
+        name: {
             type: String,
             required: true,
-            match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please provide time in HH:MM format']
+            trim: true
         },
-        endTime: {
+        specialization: {
             type: String,
             required: true,
-            match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please provide time in HH:MM format']
+            trim: true
         },
-        isOpen: {
+        available: {
             type: Boolean,
             default: true
-        }
+        },
+        // Explicit slots per day; when unset, capacity is derived from working hours and appointmentDuration
+        dailyCapacity: {
+            type: Number,
+            min: 0
+        },
+        // Own weekly hours; when empty the expert works the organization's workingHours
+        workingHours: [workingHoursSchema],
+        // Recurring breaks such as lunch; without a day they apply every day
+        breaks: [{
+            day: {
+                type: String,
+                enum: DAYS
+            },
+            startTime: {
+                type: String,
+                required: true,
+                match: TIME_MATCH
+            },
+            endTime: {
+                type: String,
+                required: true,
+                match: TIME_MATCH
+            },
+            label: {
+                type: String,
+                trim: true,
+                default: 'Break'
+            }
+        }],
+        // Date ranges the expert is away, inclusive
+        leave: [{
+            startDate: {
+                type: Date,
+                required: true
+            },
+            endDate: {
+                type: Date,
+                required: true
+            },
+            reason: {
+                type: String,
+                trim: true,
+                default: 'Leave'
+            }
+        }]
     }],
-    experts: [{
+    services: [{
         name: {
             type: String,
-            required: true,
+            required: [true, 'Service name is required'],
             trim: true
         },
-        specialization: {
+        description: {
             type: String,
-            required: true,
             trim: true
         },
-        available: {
+        // Minutes; longer than appointmentDuration means the service spans several slots
+        duration: {
+            type: Number,
+            required: [true, 'Service duration is required'],
+            min: 5,
+            max: 480
+        },
+        price: {
+            type: Number,
+            min: 0
+        },
+        // Names of the experts who perform the service; empty means every expert
+        experts: [{
+            type: String,
+            trim: true
+        }],
+        active: {
             type: Boolean,
             default: true
         }
     }],
+    // Accounts that help run the organization besides the owner (userId)
+    staff: [{
+        // Set once the invitation is accepted
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        email: {
+            type: String,
+            required: true,
+            lowercase: true,
+            trim: true
+        },
+        role: {
+            type: String,
+            enum: ['receptionist', 'expert'],
+            required: true
+        },
+        // Entry in experts this account works as; required for the expert role
+        expertName: {
+            type: String,
+            trim: true
+        },
+        status: {
+            type: String,
+            enum: ['invited', 'active'],
+            default: 'invited'
+        },
+        inviteTokenHash: {
+            type: String,
+            select: false
+        },
+        inviteExpires: {
+            type: Date
+        },
+        invitedAt: {
+            type: Date,
+            default: Date.now
+        },
+        joinedAt: {
+            type: Date
+        }
+    }],
     appointmentDuration: {
         type: Number,
         default: 30,
@@ -69,6 +194,29 @@ const organizationSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    // GeoJSON point for the address; coordinates are [longitude, latitude]
+    location: {
+        type: {
+            type: String,
+            enum: ['Point'],
+            required: function () {
+                return Boolean(this.location && this.location.coordinates);
+            }
+        },
+        coordinates: {
+            type: [Number],
+            default: undefined,
+            required: function () {
+                return Boolean(this.location && this.location.type);
+            },
+            validate: {
+                validator: coords => coords.length === 2 &&
+                    coords[0] >= -180 && coords[0] <= 180 &&
+                    coords[1] >= -90 && coords[1] <= 90,
+                message: 'Location coordinates must be [longitude, latitude]'
+            }
+        }
+    },
     phone: {
         type: String,
         trim: true
@@ -86,12 +234,42 @@ const organizationSchema = new mongoose.Schema({
     }],
     weeklyDaysOff: [{
         type: String,
-        enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+        enum: DAYS
     }],
+    // IANA timezone used for day boundaries, weekdays and working hours
+    timezone: {
+        type: String,
+        default: DEFAULT_TIMEZONE,
+        validate: {
+            validator: isValidTimeZone,
+            message: props => `${props.value} is not a valid IANA timezone`
+        }
+    },
     isCurrentlyOpen: {
         type: Boolean,
         default: true
     },
+    // Set by platform admins; suspended organizations are hidden and take no bookings
+    status: {
+        type: String,
+        enum: ['active', 'suspended'],
+        default: 'active'
+    },
+    suspendedAt: {
+        type: Date
+    },
+    suspensionReason: {
+        type: String,
+        trim: true
+    },
+    isVerified: {
+        type: Boolean,
+        default: false
+    },
+    verifiedAt: {
+        type: Date
+    },
+    // Slots per expert per day held back for offline (walk-in) visitors
     reservedSlotsPerDay: {
         type: Number,
         default: 0,
@@ -114,4 +292,14 @@ organizationSchema.pre('save', function (next) {
     next();
 });
 
+// Directory search; the name counts most, then what the experts specialize in
+organizationSchema.index(
+    { organizationName: 'text', description: 'text', 'experts.specialization': 'text' },
+    { name: 'organization_directory_text', weights: { organizationName: 10, 'experts.specialization': 5, description: 1 } }
+);
+organizationSchema.index({ category: 1, status: 1 });
+organizationSchema.index({ location: '2dsphere' });
+organizationSchema.index({ 'staff.userId': 1 });
+organizationSchema.index({ 'staff.inviteTokenHash': 1 });
+
 module.exports = mongoose.model('Organization', organizationSchema);
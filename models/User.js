@@ -23,13 +23,94 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'organization'],
+    enum: ['user', 'organization', 'staff', 'admin'],
     required: [true, 'Role is required']
   },
   phone: {
     type: String,
     trim: true
   },
+  // Suspended accounts can't log in or use existing tokens
+  status: {
+    type: String,
+    enum: ['active', 'suspended'],
+    default: 'active'
+  },
+  suspendedAt: {
+    type: Date
+  },
+  suspensionReason: {
+    type: String,
+    trim: true
+  },
+  // Channels the user wants to hear from, and whether to get appointment reminders
+  notificationPreferences: {
+    email: {
+      type: Boolean,
+      default: true
+    },
+    sms: {
+      type: Boolean,
+      default: false
+    },
+    inApp: {
+      type: Boolean,
+      default: true
+    },
+    reminders: {
+      type: Boolean,
+      default: true
+    }
+  },
+  // Bumped to invalidate every access token issued so far (log out all devices, password change)
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Consecutive wrong passwords; reaching the limit sets lockUntil
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date
+  },
+  // No default: accounts from before verification existed have no value and count as
+  // verified (see isEmailVerified); register stores false explicitly
+  emailVerified: {
+    type: Boolean
+  },
+  emailVerificationTokenHash: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  // When the last verification email went out, for the resend cooldown
+  emailVerificationSentAt: {
+    type: Date
+  },
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // When the last reset email went out, for the forgot password cooldown
+  passwordResetSentAt: {
+    type: Date,
+    select: false
+  },
+  // Secret in the calendar feed URL; rotating it breaks old subscriptions
+  calendarFeedTokenHash: {
+    type: String,
+    select: false,
+    index: { sparse: true }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -60,4 +141,9 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Only an explicit false blocks; older accounts without the field are trusted
+userSchema.methods.isEmailVerified = function() {
+  return this.emailVerified !== false;
+};
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    organizationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true
+    },
+    expertName: {
+        type: String,
+        required: [true, 'Expert name is required'],
+        trim: true
+    },
+    serviceId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    serviceName: {
+        type: String,
+        required: [true, 'Service name is required'],
+        trim: true
+    },
+    duration: {
+        type: Number,
+        required: true
+    },
+    // Start of the wanted day in the organization's timezone, like Appointment.appointmentDate
+    appointmentDate: {
+        type: Date,
+        required: [true, 'Appointment date is required']
+    },
+    // Specific time wanted; when unset any free time that day will do
+    appointmentTime: {
+        type: String,
+        match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please provide time in HH:MM format']
+    },
+    // Book straight away when a slot frees up instead of sending an offer
+    autoBook: {
+        type: Boolean,
+        default: false
+    },
+    status: {
+        type: String,
+        enum: ['waiting', 'offered', 'booked', 'expired', 'cancelled'],
+        default: 'waiting'
+    },
+    // Slot held for the user until expiresAt while status is offered
+    offer: {
+        appointmentTime: String,
+        occupiedSlots: {
+            type: [String],
+            default: undefined
+        },
+        offeredAt: Date,
+        expiresAt: Date
+    },
+    appointmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment'
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update the updatedAt timestamp before saving
+waitlistEntrySchema.pre('save', function (next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// First come, first served per expert and day
+waitlistEntrySchema.index({ organizationId: 1, expertName: 1, appointmentDate: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ userId: 1, status: 1 });
+waitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
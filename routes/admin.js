@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getUsers,
+    suspendUser,
+    reactivateUser,
+    getOrganizations,
+    suspendOrganization,
+    reactivateOrganization,
+    verifyOrganization,
+    getPlatformStats
+} = require('../controllers/adminController');
+const auth = require('../middleware/auth');
+const roleCheck = require('../middleware/roleCheck');
+
+// Private routes - admin role only
+router.use(auth, roleCheck('admin'));
+
+router.get('/stats', getPlatformStats);
+router.get('/users', getUsers);
+router.put('/users/:id/suspend', suspendUser);
+router.put('/users/:id/reactivate', reactivateUser);
+router.get('/organizations', getOrganizations);
+router.put('/organizations/:id/suspend', suspendOrganization);
+router.put('/organizations/:id/reactivate', reactivateOrganization);
+router.put('/organizations/:id/verify', verifyOrganization);
+
+module.exports = router;
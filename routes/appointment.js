@@ -2,25 +2,42 @@ const express = require('express');
 const router = express.Router();
 const {
     bookAppointment,
+    registerWalkIn,
     getUserAppointments,
     getOrganizationAppointments,
+    exportOrganizationAppointments,
     updateAppointmentStatus,
     cancelAppointment,
-    getAppointmentById
+    rescheduleAppointment,
+    updateAppointmentNotes,
+    getAppointmentHistory,
+    getAppointmentById,
+    getAppointmentIcs,
+    streamQueueUpdates
 } = require('../controllers/appointmentController');
 const auth = require('../middleware/auth');
 const roleCheck = require('../middleware/roleCheck');
+const queryToken = require('../middleware/queryToken');
+const requireVerified = require('../middleware/requireVerified');
+const { bookingLimiter } = require('../middleware/rateLimit');
 
 // Private routes - user role only
-router.post('/', auth, roleCheck('user'), bookAppointment);
+router.post('/', auth, roleCheck('user'), requireVerified, bookingLimiter, bookAppointment);
 router.get('/user', auth, roleCheck('user'), getUserAppointments);
 router.delete('/:id', auth, roleCheck('user'), cancelAppointment);
 
-// Private routes - organization role only
-router.get('/organization/:orgId', auth, roleCheck('organization'), getOrganizationAppointments);
-router.put('/:id/status', auth, roleCheck('organization'), updateAppointmentStatus);
+// Private routes - organization owners and staff
+router.post('/walk-in', auth, roleCheck('organization', 'staff'), registerWalkIn);
+router.get('/organization/:orgId', auth, roleCheck('organization', 'staff'), getOrganizationAppointments);
+router.get('/organization/:orgId/export', auth, roleCheck('organization', 'staff'), exportOrganizationAppointments);
+router.put('/:id/status', auth, roleCheck('organization', 'staff'), updateAppointmentStatus);
 
-// Private routes - authenticated users (both roles)
+// Private routes - authenticated users (all roles)
+router.get('/stream', queryToken, auth, streamQueueUpdates);
+router.put('/:id/reschedule', auth, roleCheck('user', 'organization', 'staff'), rescheduleAppointment);
+router.put('/:id/notes', auth, roleCheck('user', 'organization', 'staff'), updateAppointmentNotes);
+router.get('/:id/history', auth, getAppointmentHistory);
+router.get('/:id/ics', auth, getAppointmentIcs);
 router.get('/:id', auth, getAppointmentById);
 
 module.exports = router;
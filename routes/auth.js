@@ -1,13 +1,32 @@
 const express = require('express');
 const router = express.Router();
-const { register, login, getMe } = require('../controllers/authController');
+const {
+    register,
+    login,
+    refresh,
+    logout,
+    verifyEmail,
+    resendVerification,
+    forgotPassword,
+    resetPassword,
+    changePassword,
+    getMe
+} = require('../controllers/authController');
 const auth = require('../middleware/auth');
+const { loginIpLimiter, loginAccountLimiter, passwordResetIpLimiter } = require('../middleware/rateLimit');
 
 // Public routes
 router.post('/register', register);
-router.post('/login', login);
+router.post('/login', loginIpLimiter, loginAccountLimiter, login);
+router.post('/refresh', refresh);
+router.post('/logout', logout);
+router.get('/verify/:token', verifyEmail);
+router.post('/forgot-password', passwordResetIpLimiter, forgotPassword);
+router.post('/reset-password', resetPassword);
 
 // Private routes
 router.get('/me', auth, getMe);
+router.post('/verify/resend', auth, resendVerification);
+router.put('/password', auth, changePassword);
 
 module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createFeedToken,
+    revokeFeedToken,
+    getCalendarFeed
+} = require('../controllers/calendarController');
+const auth = require('../middleware/auth');
+
+// Public routes - the feed token authenticates calendar clients, which can't send headers
+router.get('/feed/:token.ics', getCalendarFeed);
+
+// Private routes - any signed-in user
+router.post('/token', auth, createFeedToken);
+router.delete('/token', auth, revokeFeedToken);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getNotifications,
+    markNotificationRead,
+    markAllNotificationsRead,
+    getPreferences,
+    updatePreferences
+} = require('../controllers/notificationController');
+const auth = require('../middleware/auth');
+
+// Private routes - any signed-in user
+router.get('/', auth, getNotifications);
+router.get('/preferences', auth, getPreferences);
+router.put('/preferences', auth, updatePreferences);
+router.put('/read-all', auth, markAllNotificationsRead);
+router.put('/:id/read', auth, markNotificationRead);
+
+module.exports = router;
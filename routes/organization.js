@@ -4,21 +4,42 @@ const {
     createOrganization,
     updateOrganization,
     getAllOrganizations,
+    getNearbyOrganizations,
     getOrganizationById,
+    getOrganizationSlots,
+    addService,
+    updateService,
+    deleteService,
+    inviteStaff,
+    acceptStaffInvite,
+    getStaff,
+    removeStaff,
     getOrganizationByUserId,
     getOrganizationAnalytics
 } = require('../controllers/organizationController');
 const auth = require('../middleware/auth');
 const roleCheck = require('../middleware/roleCheck');
+const requireVerified = require('../middleware/requireVerified');
 
 // Public routes
 router.get('/', getAllOrganizations);
+router.get('/nearby', getNearbyOrganizations);
 router.get('/:id', getOrganizationById);
+router.get('/:id/slots', getOrganizationSlots);
 
 // Private routes - organization role only
-router.post('/', auth, roleCheck('organization'), createOrganization);
+router.post('/', auth, roleCheck('organization'), requireVerified, createOrganization);
 router.put('/:id', auth, roleCheck('organization'), updateOrganization);
 router.get('/:id/analytics', auth, roleCheck('organization'), getOrganizationAnalytics);
+router.post('/:id/services', auth, roleCheck('organization'), addService);
+router.put('/:id/services/:serviceId', auth, roleCheck('organization'), updateService);
+router.delete('/:id/services/:serviceId', auth, roleCheck('organization'), deleteService);
+router.post('/:id/staff', auth, roleCheck('organization'), inviteStaff);
+router.get('/:id/staff', auth, roleCheck('organization'), getStaff);
+router.delete('/:id/staff/:staffId', auth, roleCheck('organization'), removeStaff);
+
+// Private routes - staff role only
+router.post('/staff/accept', auth, roleCheck('staff'), acceptStaffInvite);
 
 // Private routes - authenticated users
 router.get('/user/:userId', auth, getOrganizationByUserId);
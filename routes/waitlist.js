@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+    joinWaitlist,
+    getUserWaitlist,
+    getOrganizationWaitlist,
+    claimWaitlistOffer,
+    leaveWaitlist
+} = require('../controllers/waitlistController');
+const auth = require('../middleware/auth');
+const roleCheck = require('../middleware/roleCheck');
+const requireVerified = require('../middleware/requireVerified');
+
+// Private routes - user role only
+router.post('/', auth, roleCheck('user'), requireVerified, joinWaitlist);
+router.get('/user', auth, roleCheck('user'), getUserWaitlist);
+router.post('/:id/claim', auth, roleCheck('user'), claimWaitlistOffer);
+router.delete('/:id', auth, roleCheck('user'), leaveWaitlist);
+
+// Private routes - organization owners and staff
+router.get('/organization/:orgId', auth, roleCheck('organization', 'staff'), getOrganizationWaitlist);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+// Mark accounts registered before email verification existed as verified, so they
+// can keep booking. New accounts always store the field, so this is safe to re-run:
+//   npm run backfill-email-verified
+const backfillEmailVerified = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+
+        const result = await User.updateMany(
+            { emailVerified: { $exists: false } },
+            { $set: { emailVerified: true } }
+        );
+
+        console.log(`Marked ${result.modifiedCount} existing user(s) as verified`);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+backfillEmailVerified();
@@ -0,0 +1,59 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const Organization = require('../models/Organization');
+const { getSlotsToHold } = require('../utils/bookingUtils');
+const { ACTIVE_STATUSES } = require('../utils/appointmentStatus');
+
+// Fill occupiedSlots and holdsSlot on appointments created before slot holding existed, so
+// the unique slot index covers them. Only documents without slots are touched, so this is
+// safe to re-run:
+//   npm run backfill-occupied-slots
+const backfillOccupiedSlots = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+
+        const appointments = await Appointment.find({
+            $or: [{ occupiedSlots: { $exists: false } }, { occupiedSlots: { $size: 0 } }]
+        });
+        const organizations = new Map();
+        let updated = 0;
+        let conflicts = 0;
+
+        for (const appointment of appointments) {
+            const orgId = appointment.organizationId.toString();
+            if (!organizations.has(orgId)) {
+                organizations.set(orgId, await Organization.findById(orgId));
+            }
+            const organization = organizations.get(orgId);
+            const expert = organization && organization.experts.find(e => e.name === appointment.expertName);
+
+            const slots = expert
+                ? getSlotsToHold(organization, appointment.expertName, appointment.appointmentDate,
+                    appointment.appointmentTime, appointment.duration || organization.appointmentDuration)
+                : [];
+            const occupiedSlots = slots.length > 0 ? slots : [appointment.appointmentTime];
+            const holdsSlot = !appointment.queueOnly && ACTIVE_STATUSES.includes(appointment.status);
+
+            try {
+                await Appointment.updateOne({ _id: appointment._id }, { $set: { occupiedSlots, holdsSlot } });
+                updated++;
+            } catch (error) {
+                if (error.code !== 11000) throw error;
+                // Two existing bookings already overlap; store the slots without holding them
+                await Appointment.updateOne({ _id: appointment._id }, { $set: { occupiedSlots, holdsSlot: false } });
+                console.warn(`Appointment ${appointment._id} overlaps another booking and does not hold its slots`);
+                conflicts++;
+            }
+        }
+
+        console.log(`Backfilled ${updated} appointment(s), ${conflicts} overlapping`);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+backfillOccupiedSlots();
@@ -0,0 +1,38 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+// Promote an existing account to platform admin:
+//   npm run create-admin -- someone@example.com
+const createAdmin = async () => {
+    const email = process.argv[2];
+
+    if (!email) {
+        console.error('Usage: npm run create-admin -- <email>');
+        process.exit(1);
+    }
+
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+
+        const user = await User.findOneAndUpdate(
+            { email: email.toLowerCase().trim() },
+            { $set: { role: 'admin', status: 'active' } },
+            { new: true }
+        );
+
+        if (!user) {
+            console.error(`No user found with email ${email}`);
+            process.exitCode = 1;
+        } else {
+            console.log(`${user.email} is now an admin`);
+        }
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+createAdmin();
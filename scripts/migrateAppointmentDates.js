@@ -0,0 +1,64 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const Organization = require('../models/Organization');
+const { DEFAULT_TIMEZONE, isValidTimeZone, toDateString, getDayBounds } = require('../utils/dateUtils');
+
+// Appointments booked before organizations had a timezone were stored at midnight in the
+// server's timezone. Move them to the start of the same day in their organization's
+// timezone, where day queries look for them:
+//   npm run migrate-appointment-dates -- [server timezone, default UTC]
+// A date already at an organization's day start only equals a legacy midnight when both
+// offsets match, and then nothing moves, so this is safe to re-run. Run it before
+// backfill-occupied-slots, which works out slots from the stored day.
+const migrateAppointmentDates = async () => {
+    const legacyTimeZone = process.argv[2] || 'UTC';
+
+    if (!isValidTimeZone(legacyTimeZone)) {
+        console.error(`Unknown timezone ${legacyTimeZone}`);
+        process.exit(1);
+    }
+
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+
+        const organizations = await Organization.find().select('timezone');
+        let moved = 0;
+        let conflicts = 0;
+
+        for (const organization of organizations) {
+            const timeZone = organization.timezone || DEFAULT_TIMEZONE;
+            const cursor = Appointment.find({ organizationId: organization._id }).select('appointmentDate').cursor();
+
+            for await (const appointment of cursor) {
+                const day = toDateString(appointment.appointmentDate, legacyTimeZone);
+                if (appointment.appointmentDate.getTime() !== getDayBounds(day, legacyTimeZone).startOfDay.getTime()) {
+                    continue;
+                }
+
+                const startOfDay = getDayBounds(day, timeZone).startOfDay;
+                if (startOfDay.getTime() === appointment.appointmentDate.getTime()) {
+                    continue;
+                }
+
+                try {
+                    await Appointment.updateOne({ _id: appointment._id }, { $set: { appointmentDate: startOfDay } });
+                    moved++;
+                } catch (error) {
+                    if (error.code !== 11000) throw error;
+                    console.warn(`Appointment ${appointment._id} overlaps a newer booking on ${day} and was left as is`);
+                    conflicts++;
+                }
+            }
+        }
+
+        console.log(`Moved ${moved} appointment(s) to their organization's day, ${conflicts} overlapping`);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+migrateAppointmentDates();
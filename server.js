@@ -7,9 +7,27 @@ const cors = require('cors');
 const authRoutes = require('./routes/auth');
 const organizationRoutes = require('./routes/organization');
 const appointmentRoutes = require('./routes/appointment');
+const adminRoutes = require('./routes/admin');
+const waitlistRoutes = require('./routes/waitlist');
+const notificationRoutes = require('./routes/notifications');
+const calendarRoutes = require('./routes/calendar');
+const { startWaitlistSweeper } = require('./utils/waitlistUtils');
+const { startReminderScheduler } = require('./utils/reminderScheduler');
 
 const app = express();
 
+// Behind a reverse proxy req.ip is the proxy's address unless Express trusts it, which
+// would make every per-IP rate limit global. TRUST_PROXY is a hop count, true/false,
+// or a comma-separated list of proxy addresses or subnets.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy === 'true' || trustProxy === 'false') {
+    app.set('trust proxy', trustProxy === 'true');
+} else if (/^\d+$/.test(trustProxy)) {
+    app.set('trust proxy', Number(trustProxy));
+} else if (trustProxy) {
+    app.set('trust proxy', trustProxy);
+}
+
 // Middleware
 app.use(cors({
     origin: function (origin, callback) {
@@ -44,6 +62,10 @@ app.use((req, res, next) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/organizations', organizationRoutes);
 app.use('/api/appointments', appointmentRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/calendar', calendarRoutes);
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -100,6 +122,12 @@ const PORT = process.env.PORT || 5000;
 const startServer = async () => {
     await connectDB();
 
+    // Pass unclaimed waitlist offers on to the next person
+    startWaitlistSweeper();
+
+    // Send appointment reminders as they come due
+    startReminderScheduler();
+
     app.listen(PORT, () => {
         console.log(`\n🚀 Server is running on port ${PORT}`);
         console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -0,0 +1,195 @@
+const Appointment = require('../models/Appointment');
+const { ACTIVE_STATUSES } = require('./appointmentStatus');
+const { getBookableMinutes } = require('./queueUtils');
+const { DAY_NAMES, addDays, getDayBounds } = require('./dateUtils');
+
+// Appointments that used up their slot, whether or not the patient turned up
+const SLOT_USING_STATUSES = [...ACTIVE_STATUSES, 'completed', 'no-show'];
+
+/**
+ * Percentage of a total, to one decimal place
+ * @param {Number} part - Count
+ * @param {Number} total - Total count
+ * @returns {Number} Percentage (0 when the total is 0)
+ */
+const toRate = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 10 : 0);
+
+/**
+ * Turn [{ _id: status, count }] aggregation output into counts keyed like the API
+ * @param {Array} groups - Aggregation result
+ * @returns {Object} { total, pending, checkedIn, inProgress, completed, cancelled, noShow }
+ */
+const toStatusCounts = (groups) => {
+    const counts = { total: 0, pending: 0, checkedIn: 0, inProgress: 0, completed: 0, cancelled: 0, noShow: 0 };
+    const keys = { 'checked-in': 'checkedIn', 'in-progress': 'inProgress', 'no-show': 'noShow' };
+
+    for (const group of groups) {
+        counts[keys[group._id] || group._id] = group.count;
+        counts.total += group.count;
+    }
+    return counts;
+};
+
+/**
+ * Add completion, cancellation and no-show rates, as percentages of all bookings
+ * @param {Object} counts - Object with total, completed, cancelled and noShow
+ * @returns {Object} Counts with completionRate, cancellationRate and noShowRate
+ */
+const withRates = (counts) => ({
+    ...counts,
+    completionRate: toRate(counts.completed, counts.total),
+    cancellationRate: toRate(counts.cancelled, counts.total),
+    noShowRate: toRate(counts.noShow, counts.total)
+});
+
+/**
+ * Build the $group fields counting bookings by outcome and the slot minutes they used
+ * @param {Number} slotLength - Fallback duration for appointments without one
+ * @returns {Object} $group accumulators
+ */
+const outcomeAccumulators = (slotLength) => ({
+    total: { $sum: 1 },
+    completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+    cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+    noShow: { $sum: { $cond: [{ $eq: ['$status', 'no-show'] }, 1, 0] } },
+    // Queue-only walk-ins never held a slot
+    bookedMinutes: {
+        $sum: {
+            $cond: [
+                { $and: [{ $in: ['$status', SLOT_USING_STATUSES] }, { $ne: ['$queueOnly', true] }] },
+                { $ifNull: ['$duration', slotLength] },
+                0
+            ]
+        }
+    }
+});
+
+/**
+ * Compute an organization's analytics for a range of days in one aggregation
+ * Rates are percentages of the bookings in the range; utilization compares the slot
+ * minutes booked with the minutes experts are bookable during working hours.
+ * @param {Object} organization - Organization document
+ * @param {String} fromStr - First calendar date (YYYY-MM-DD)
+ * @param {String} toStr - Last calendar date (YYYY-MM-DD), inclusive
+ * @param {Date} today - Any instant of the organization's current day
+ * @returns {Object} Analytics
+ */
+const buildAnalytics = async (organization, fromStr, toStr, today = new Date()) => {
+    const timeZone = organization.timezone;
+    const slotLength = organization.appointmentDuration || 30;
+    const accumulators = outcomeAccumulators(slotLength);
+
+    const inRange = {
+        appointmentDate: {
+            $gte: getDayBounds(fromStr, timeZone).startOfDay,
+            $lte: getDayBounds(toStr, timeZone).endOfDay
+        }
+    };
+    const todayBounds = getDayBounds(today, timeZone);
+    const hour = { $toInt: { $arrayElemAt: [{ $split: ['$appointmentTime', ':'] }, 0] } };
+
+    const [result] = await Appointment.aggregate([
+        { $match: { organizationId: organization._id } },
+        {
+            $facet: {
+                overall: [
+                    { $group: { _id: '$status', count: { $sum: 1 } } }
+                ],
+                today: [
+                    { $match: { appointmentDate: { $gte: todayBounds.startOfDay, $lte: todayBounds.endOfDay } } },
+                    { $group: { _id: '$status', count: { $sum: 1 } } }
+                ],
+                summary: [
+                    { $match: inRange },
+                    { $group: { _id: '$status', count: { $sum: 1 } } }
+                ],
+                daily: [
+                    { $match: inRange },
+                    { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$appointmentDate', timezone: timeZone } }, ...accumulators } },
+                    { $sort: { _id: 1 } }
+                ],
+                weekly: [
+                    { $match: inRange },
+                    { $group: { _id: { $dateToString: { format: '%G-W%V', date: '$appointmentDate', timezone: timeZone } }, ...accumulators } },
+                    { $sort: { _id: 1 } }
+                ],
+                byExpert: [
+                    { $match: inRange },
+                    { $group: { _id: '$expertName', ...accumulators } }
+                ],
+                byService: [
+                    { $match: inRange },
+                    { $group: { _id: '$serviceName', ...accumulators } },
+                    { $sort: { total: -1 } }
+                ],
+                peakHours: [
+                    { $match: { ...inRange, status: { $ne: 'cancelled' } } },
+                    { $group: { _id: hour, count: { $sum: 1 } } },
+                    { $sort: { _id: 1 } }
+                ],
+                byWeekday: [
+                    { $match: { ...inRange, status: { $ne: 'cancelled' } } },
+                    { $group: { _id: { $dayOfWeek: { date: '$appointmentDate', timezone: timeZone } }, count: { $sum: 1 } } },
+                    { $sort: { _id: 1 } }
+                ]
+            }
+        }
+    ]);
+
+    const toSeriesPoint = ({ _id, bookedMinutes, ...counts }) => withRates(counts);
+
+    // Every day of the range appears, so charts don't skip quiet days
+    const dailyByDate = new Map(result.daily.map(d => [d._id, d]));
+    const daily = [];
+    for (let dateStr = fromStr; dateStr <= toStr; dateStr = addDays(dateStr, 1)) {
+        const day = dailyByDate.get(dateStr) || { total: 0, completed: 0, cancelled: 0, noShow: 0 };
+        daily.push({ date: dateStr, ...toSeriesPoint(day) });
+    }
+
+    // Current experts are listed even without bookings; former ones only if they had some
+    const bookableMinutes = getBookableMinutes(organization, fromStr, toStr);
+    const expertGroups = new Map(result.byExpert.map(e => [e._id, e]));
+    const expertNames = [...new Set([...Object.keys(bookableMinutes), ...expertGroups.keys()])];
+
+    const byExpert = expertNames.map(expertName => {
+        const { _id, bookedMinutes = 0, ...counts } = expertGroups.get(expertName) || { total: 0, completed: 0, cancelled: 0, noShow: 0 };
+        const bookable = bookableMinutes[expertName] || 0;
+        return {
+            expertName,
+            ...withRates(counts),
+            bookedMinutes,
+            bookableMinutes: bookable,
+            utilization: toRate(bookedMinutes, bookable)
+        };
+    }).sort((a, b) => b.total - a.total);
+
+    const bookedTotal = byExpert.reduce((sum, e) => sum + e.bookedMinutes, 0);
+    const bookableTotal = byExpert.reduce((sum, e) => sum + e.bookableMinutes, 0);
+
+    return {
+        overall: toStatusCounts(result.overall),
+        today: toStatusCounts(result.today),
+        summary: withRates(toStatusCounts(result.summary)),
+        timeSeries: {
+            daily,
+            weekly: result.weekly.map(w => ({ week: w._id, ...toSeriesPoint(w) }))
+        },
+        byExpert,
+        byService: result.byService.map(({ _id, bookedMinutes, ...counts }) => ({
+            serviceName: _id,
+            ...withRates(counts),
+            bookedMinutes
+        })),
+        peakHours: result.peakHours.map(h => ({ hour: h._id, count: h.count })),
+        byWeekday: result.byWeekday.map(d => ({ day: DAY_NAMES[d._id - 1], count: d.count })),
+        utilization: {
+            bookedMinutes: bookedTotal,
+            bookableMinutes: bookableTotal,
+            rate: toRate(bookedTotal, bookableTotal)
+        }
+    };
+};
+
+module.exports = {
+    buildAnalytics
+};
@@ -0,0 +1,30 @@
+// Every status an appointment can have
+const STATUSES = ['pending', 'checked-in', 'in-progress', 'completed', 'cancelled', 'no-show'];
+
+// Statuses that keep a place in the queue and hold the expert's slot
+const ACTIVE_STATUSES = ['pending', 'checked-in', 'in-progress'];
+
+// Allowed moves from each status; completed, cancelled and no-show are final
+const TRANSITIONS = {
+    pending: ['checked-in', 'in-progress', 'cancelled', 'no-show'],
+    'checked-in': ['in-progress', 'cancelled', 'no-show'],
+    'in-progress': ['completed', 'cancelled'],
+    completed: [],
+    cancelled: [],
+    'no-show': []
+};
+
+/**
+ * Check if an appointment may move from one status to another
+ * @param {String} from - Current status
+ * @param {String} to - Requested status
+ * @returns {Boolean} True if the transition is allowed
+ */
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+module.exports = {
+    STATUSES,
+    ACTIVE_STATUSES,
+    TRANSITIONS,
+    canTransition
+};
@@ -0,0 +1,186 @@
+const Appointment = require('../models/Appointment');
+const {
+    calculateQueuePosition,
+    calculateEstimatedWaitTime,
+    isSlotAvailable,
+    isWithinWorkingHours,
+    isExpertWorking,
+    getOccupiedSlots,
+    generateExpertTimeSlots,
+    timeToMinutes,
+    updateQueuePositions
+} = require('./queueUtils');
+const { isValidDate, toDateString, getDayBounds, getMinutesOfDay } = require('./dateUtils');
+
+/**
+ * Find the catalog service for a booking and check the expert performs it
+ * Organizations without a catalog keep accepting a free-text service name.
+ * @param {Object} organization - Organization document
+ * @param {String} serviceId - Catalog service ID
+ * @param {String} serviceName - Service name (used when no ID is given)
+ * @param {String} expertName - Expert name
+ * @returns {Object} { service: { _id, name, duration } } or { error: { status, message } }
+ */
+const resolveService = (organization, serviceId, serviceName, expertName) => {
+    if (!organization.services || organization.services.length === 0) {
+        if (!serviceName) {
+            return { error: { status: 400, message: 'Please provide serviceName' } };
+        }
+        return { service: { _id: undefined, name: serviceName, duration: organization.appointmentDuration } };
+    }
+
+    const service = serviceId
+        ? organization.services.id(serviceId)
+        : organization.services.find(s => s.name === serviceName);
+
+    if (!service || !service.active) {
+        return { error: { status: 404, message: 'Service not found' } };
+    }
+
+    if (service.experts.length > 0 && !service.experts.includes(expertName)) {
+        return { error: { status: 400, message: 'Expert does not perform this service' } };
+    }
+
+    return { service };
+};
+
+/**
+ * Get the slots a booking will hold
+ * @param {Object} organization - Organization document
+ * @param {String} expertName - Expert name
+ * @param {Date} appointmentDate - Appointment date
+ * @param {String} appointmentTime - Appointment time (HH:MM)
+ * @param {Number} duration - Length of the service in minutes
+ * @returns {Array} Slot start times (HH:MM)
+ */
+const getSlotsToHold = (organization, expertName, appointmentDate, appointmentTime, duration) => {
+    const expert = organization.experts.find(e => e.name === expertName);
+    const times = generateExpertTimeSlots(organization, expert, appointmentDate);
+    return getOccupiedSlots(times, appointmentTime, duration, organization.appointmentDuration);
+};
+
+/**
+ * Run the date, working-hours, expert and slot checks for a booking
+ * @param {Object} organization - Organization document
+ * @param {String|Date} appointmentDate - Calendar date (YYYY-MM-DD), or a stored appointment date
+ * @param {String} appointmentTime - Appointment time (HH:MM)
+ * @param {String} expertName - Expert name
+ * @param {Number} duration - Length of the service in minutes
+ * @param {ObjectId} excludeAppointmentId - Appointment being moved, ignored in slot checks
+ * @param {ObjectId} excludeWaitlistId - Waitlist offer being claimed, ignored in slot checks
+ * @returns {Object|null} { status, message } describing the failure, or null if bookable
+ */
+const validateSlot = async (organization, appointmentDate, appointmentTime, expertName, duration, excludeAppointmentId = null, excludeWaitlistId = null) => {
+    const timeZone = organization.timezone;
+
+    if (organization.status === 'suspended') {
+        return { status: 403, message: 'Organization is suspended and not accepting bookings' };
+    }
+
+    // Dates stored on waitlist entries are already organization days; request input must be YYYY-MM-DD
+    if (!(appointmentDate instanceof Date) && !isValidDate(appointmentDate)) {
+        return { status: 400, message: 'Please provide a valid appointment date (YYYY-MM-DD)' };
+    }
+
+    if (!/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/.test(appointmentTime)) {
+        return { status: 400, message: 'Please provide time in HH:MM format' };
+    }
+
+    // Check if appointment date and time are in the future, in the organization's timezone
+    const now = new Date();
+    const appointmentDateStr = toDateString(appointmentDate, timeZone);
+    const todayStr = toDateString(now, timeZone);
+    const isPast = appointmentDateStr < todayStr ||
+        (appointmentDateStr === todayStr && timeToMinutes(appointmentTime) < getMinutesOfDay(now, timeZone));
+
+    if (isPast) {
+        return { status: 400, message: 'Cannot book appointment in the past' };
+    }
+
+    // Check if within working hours
+    if (!isWithinWorkingHours(
+        organization.workingHours,
+        appointmentDate,
+        appointmentTime,
+        organization.daysOff,
+        organization.isCurrentlyOpen,
+        organization.weeklyDaysOff,
+        timeZone
+    )) {
+        return {
+            status: 400,
+            message: 'Appointment time is outside working hours, on a day off, or organization is temporarily closed'
+        };
+    }
+
+    // Check if expert exists and is available
+    const expert = organization.experts.find(e => e.name === expertName);
+    if (!expert) {
+        return { status: 404, message: 'Expert not found' };
+    }
+
+    if (!expert.available) {
+        return { status: 400, message: 'Expert is not available' };
+    }
+
+    // Check the expert's own hours, breaks and leave cover the whole service
+    if (!isExpertWorking(organization, expert, appointmentDate, appointmentTime, duration)) {
+        return { status: 400, message: 'Expert is not working for the whole service at this time' };
+    }
+
+    // Check slot availability against the expert's online capacity for the day
+    const slotAvailable = await isSlotAvailable(organization, expert, appointmentDate, appointmentTime, duration, excludeAppointmentId, excludeWaitlistId);
+    if (!slotAvailable) {
+        return {
+            status: 409,
+            message: 'Slot is already taken or no online slots remain for this expert on this day'
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Create an online appointment in a slot that passed validateSlot
+ * The unique slot index still rejects a concurrent booking with error code 11000.
+ * @param {Object} organization - Organization document
+ * @param {Object} user - Booking user document
+ * @param {Object} booking - { expertName, service, appointmentDate, appointmentTime, notes }
+ * @param {String} reason - Optional note for the created history entry
+ * @returns {Object} Created appointment
+ */
+const createOnlineAppointment = async (organization, user, booking, reason) => {
+    const { expertName, service, appointmentDate, appointmentTime, notes } = booking;
+
+    const queuePosition = await calculateQueuePosition(organization._id, appointmentDate, appointmentTime, organization.timezone);
+    const estimatedWaitTime = calculateEstimatedWaitTime(queuePosition, organization.appointmentDuration);
+
+    // The date is stored as the start of the day so the slot index compares like with like
+    const appointment = await Appointment.create({
+        userId: user._id,
+        organizationId: organization._id,
+        expertName,
+        serviceId: service._id,
+        serviceName: service.name,
+        duration: service.duration,
+        appointmentDate: getDayBounds(appointmentDate, organization.timezone).startOfDay,
+        appointmentTime,
+        occupiedSlots: getSlotsToHold(organization, expertName, appointmentDate, appointmentTime, service.duration),
+        queuePosition,
+        estimatedWaitTime,
+        notes,
+        history: [Appointment.historyEntry('created', user, { toStatus: 'pending', reason })]
+    });
+
+    // Let subscribers see the new queue entry
+    await updateQueuePositions(organization._id, appointment.appointmentDate, organization.appointmentDuration, organization.timezone);
+
+    return appointment;
+};
+
+module.exports = {
+    resolveService,
+    getSlotsToHold,
+    validateSlot,
+    createOnlineAppointment
+};
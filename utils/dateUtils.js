@@ -0,0 +1,191 @@
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+const formatters = {};
+
+/**
+ * Get a cached formatter that splits instants into parts in a timezone
+ * @param {String} timeZone - IANA timezone
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+const getFormatter = (timeZone) => {
+    if (!formatters[timeZone]) {
+        formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+    return formatters[timeZone];
+};
+
+/**
+ * Check if a string is a valid IANA timezone
+ * @param {String} timeZone - Timezone name, e.g. Asia/Kolkata
+ * @returns {Boolean} True if valid
+ */
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Check if a value is a real YYYY-MM-DD calendar date. Other formats are rejected, since
+ * Date would parse them as UTC or server-local instants rather than organization days.
+ * @param {*} date - Value from a request
+ * @returns {Boolean} True if valid
+ */
+const isValidDate = (date) => {
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return false;
+    }
+
+    // Date rolls impossible days like 2024-02-30 over, so compare the round trip
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !isNaN(parsed) && parsed.toISOString().startsWith(date);
+};
+
+/**
+ * Get the wall-clock parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {String} timeZone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+const getZonedParts = (date, timeZone = DEFAULT_TIMEZONE) => {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(date))) {
+        if (type !== 'literal') {
+            parts[type] = Number(value);
+        }
+    }
+    return parts;
+};
+
+/**
+ * Get the calendar date of a value in a timezone
+ * A plain "YYYY-MM-DD" string is already a calendar date and is returned unchanged.
+ * @param {Date|String} date - Instant or calendar date
+ * @param {String} timeZone - IANA timezone
+ * @returns {String} Calendar date (YYYY-MM-DD)
+ */
+const toDateString = (date, timeZone = DEFAULT_TIMEZONE) => {
+    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return date;
+    }
+
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Get the offset of a timezone from UTC at an instant
+ * @param {Date} date - Instant
+ * @param {String} timeZone - IANA timezone
+ * @returns {Number} Offset in milliseconds (positive east of UTC)
+ */
+const getTimeZoneOffset = (date, timeZone = DEFAULT_TIMEZONE) => {
+    const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    return asUtc - Math.floor(new Date(date).getTime() / 1000) * 1000;
+};
+
+/**
+ * Convert a wall-clock date and time in a timezone to an instant
+ * @param {String} dateStr - Calendar date (YYYY-MM-DD)
+ * @param {String} timeStr - Time (HH:MM)
+ * @param {String} timeZone - IANA timezone
+ * @returns {Date} Instant
+ */
+const zonedTimeToUtc = (dateStr, timeStr = '00:00', timeZone = DEFAULT_TIMEZONE) => {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const [hours, minutes] = timeStr.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+    // Re-read the offset at the first guess so DST transitions land on the right side
+    const guess = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+    return new Date(wallClock - getTimeZoneOffset(new Date(guess), timeZone));
+};
+
+/**
+ * Add days to a calendar date
+ * @param {String} dateStr - Calendar date (YYYY-MM-DD)
+ * @param {Number} days - Days to add (may be negative)
+ * @returns {String} Calendar date (YYYY-MM-DD)
+ */
+const addDays = (dateStr, days) => {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+};
+
+/**
+ * Get the start and end of the day containing a date in a timezone
+ * @param {Date|String} date - Instant or calendar date
+ * @param {String} timeZone - IANA timezone
+ * @returns {Object} { startOfDay, endOfDay }
+ */
+const getDayBounds = (date, timeZone = DEFAULT_TIMEZONE) => {
+    const dateStr = toDateString(date, timeZone);
+    const startOfDay = zonedTimeToUtc(dateStr, '00:00', timeZone);
+    const endOfDay = new Date(zonedTimeToUtc(addDays(dateStr, 1), '00:00', timeZone).getTime() - 1);
+
+    return { startOfDay, endOfDay };
+};
+
+/**
+ * Get the weekday name of a date in a timezone
+ * @param {Date|String} date - Instant or calendar date
+ * @param {String} timeZone - IANA timezone
+ * @returns {String} Day name, e.g. Monday
+ */
+const getDayName = (date, timeZone = DEFAULT_TIMEZONE) => {
+    const [year, month, day] = toDateString(date, timeZone).split('-').map(Number);
+    return DAY_NAMES[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+};
+
+/**
+ * Get the wall-clock time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {String} timeZone - IANA timezone
+ * @returns {Number} Minutes since midnight
+ */
+const getMinutesOfDay = (date, timeZone = DEFAULT_TIMEZONE) => {
+    const { hour, minute } = getZonedParts(date, timeZone);
+    return hour * 60 + minute;
+};
+
+/**
+ * Format an instant as a wall-clock date and time in a timezone
+ * @param {Date} date - Instant
+ * @param {String} timeZone - IANA timezone
+ * @returns {String} Date and time (YYYY-MM-DD HH:MM)
+ */
+const toDateTimeString = (date, timeZone = DEFAULT_TIMEZONE) => {
+    const { hour, minute } = getZonedParts(date, timeZone);
+    return `${toDateString(date, timeZone)} ${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+module.exports = {
+    DAY_NAMES,
+    DEFAULT_TIMEZONE,
+    isValidTimeZone,
+    isValidDate,
+    getZonedParts,
+    getTimeZoneOffset,
+    toDateString,
+    toDateTimeString,
+    zonedTimeToUtc,
+    addDays,
+    getDayBounds,
+    getDayName,
+    getMinutesOfDay
+};
@@ -0,0 +1,170 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const { toDateString, toDateTimeString } = require('./dateUtils');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const EXPORT_COLUMNS = [
+    { header: 'Date', key: 'date', width: 12 },
+    { header: 'Time', key: 'time', width: 8 },
+    { header: 'Token', key: 'token', width: 8 },
+    { header: 'Patient name', key: 'patientName', width: 24 },
+    { header: 'Patient phone', key: 'patientPhone', width: 16 },
+    { header: 'Expert', key: 'expert', width: 20 },
+    { header: 'Service', key: 'service', width: 24 },
+    { header: 'Booked duration (min)', key: 'bookedDuration', width: 12 },
+    { header: 'Status', key: 'status', width: 12 },
+    { header: 'Source', key: 'source', width: 10 },
+    { header: 'Booked at', key: 'bookedAt', width: 17 },
+    { header: 'Checked in at', key: 'checkedInAt', width: 17 },
+    { header: 'Started at', key: 'startedAt', width: 17 },
+    { header: 'Completed at', key: 'completedAt', width: 17 },
+    { header: 'Actual duration (min)', key: 'actualDuration', width: 12 }
+];
+
+/**
+ * Find when an appointment last entered each status, from its history
+ * @param {Object} appointment - Appointment document
+ * @returns {Object} { [status]: Date }
+ */
+const getStatusTimes = (appointment) => {
+    const times = {};
+    for (const entry of appointment.history || []) {
+        if (entry.action === 'status-changed' && entry.toStatus) {
+            times[entry.toStatus] = entry.at;
+        }
+    }
+    return times;
+};
+
+/**
+ * Flatten an appointment into an export row
+ * The actual duration runs from the last move to in-progress until completion.
+ * @param {Object} appointment - Appointment with userId populated (name, phone)
+ * @param {Object} organization - Organization document
+ * @returns {Object} Values by column key
+ */
+const toExportRow = (appointment, organization) => {
+    const timeZone = organization.timezone;
+    const times = getStatusTimes(appointment);
+    const formatTime = (date) => (date ? toDateTimeString(date, timeZone) : '');
+
+    let actualDuration = '';
+    if (times['in-progress'] && times.completed && times.completed > times['in-progress']) {
+        actualDuration = Math.round((times.completed - times['in-progress']) / (60 * 1000));
+    }
+
+    return {
+        date: toDateString(appointment.appointmentDate, timeZone),
+        time: appointment.queueOnly ? '' : appointment.appointmentTime,
+        token: appointment.tokenNumber || '',
+        patientName: appointment.userId ? appointment.userId.name : appointment.patientName,
+        patientPhone: (appointment.userId ? appointment.userId.phone : appointment.patientPhone) || '',
+        expert: appointment.expertName,
+        service: appointment.serviceName,
+        bookedDuration: appointment.duration || organization.appointmentDuration,
+        status: appointment.status,
+        source: appointment.source || 'online',
+        bookedAt: formatTime(appointment.createdAt),
+        checkedInAt: formatTime(times['checked-in']),
+        startedAt: formatTime(times['in-progress']),
+        completedAt: formatTime(times.completed),
+        actualDuration
+    };
+};
+
+/**
+ * Quote a CSV field when needed, and defuse values a spreadsheet would run as a formula
+ * @param {*} value - Field value
+ * @returns {String} CSV field
+ */
+const toCsvField = (value) => {
+    let text = value === undefined || value === null ? '' : String(value);
+
+    if (/^[=@\t\r]/.test(text) || /^[+-](?![\d\s()]*$)/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Stream appointments to the response as CSV, one row at a time
+ * @param {Object} res - Express response
+ * @param {Object} cursor - Mongoose query cursor
+ * @param {Object} organization - Organization document
+ */
+const writeCsv = async (res, cursor, organization) => {
+    // The byte order mark makes Excel read the file as UTF-8
+    res.write('\uFEFF' + EXPORT_COLUMNS.map(c => toCsvField(c.header)).join(',') + '\r\n');
+
+    for await (const appointment of cursor) {
+        if (res.destroyed) {
+            break;
+        }
+
+        const row = toExportRow(appointment, organization);
+        const line = EXPORT_COLUMNS.map(c => toCsvField(row[c.key])).join(',') + '\r\n';
+
+        if (!res.write(line)) {
+            await once(res, 'drain');
+        }
+    }
+
+    res.end();
+};
+
+/**
+ * Stream appointments to the response as an Excel workbook, committing rows as they are written
+ * @param {Object} res - Express response
+ * @param {Object} cursor - Mongoose query cursor
+ * @param {Object} organization - Organization document
+ */
+const writeXlsx = async (res, cursor, organization) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const worksheet = workbook.addWorksheet('Appointments');
+    worksheet.columns = EXPORT_COLUMNS;
+    worksheet.getRow(1).font = { bold: true };
+
+    for await (const appointment of cursor) {
+        if (res.destroyed) {
+            break;
+        }
+        worksheet.addRow(toExportRow(appointment, organization)).commit();
+    }
+
+    await worksheet.commit();
+    await workbook.commit();
+};
+
+/**
+ * Stream an appointment export in the requested format
+ * @param {Object} res - Express response
+ * @param {Object} cursor - Mongoose query cursor over appointments with userId populated
+ * @param {Object} organization - Organization document
+ * @param {String} format - csv or xlsx
+ * @param {String} filename - Download name without extension
+ */
+const streamAppointmentExport = async (res, cursor, organization, format, filename) => {
+    res.status(200);
+    res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+    try {
+        if (format === 'xlsx') {
+            res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            await writeXlsx(res, cursor, organization);
+        } else {
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            await writeCsv(res, cursor, organization);
+        }
+    } finally {
+        await cursor.close();
+    }
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    EXPORT_COLUMNS,
+    toExportRow,
+    streamAppointmentExport
+};
@@ -0,0 +1,261 @@
+const { toDateString, zonedTimeToUtc, getZonedParts, getTimeZoneOffset } = require('./dateUtils');
+
+const PRODID = '-//Queue Management System//Appointments//EN';
+
+/**
+ * Escape a value for an iCalendar TEXT property (RFC 5545 3.3.11)
+ * @param {String} value - Raw text
+ * @returns {String} Escaped text
+ */
+const escapeText = (value) => String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to 75 octets, continuing with a leading space (RFC 5545 3.1)
+ * @param {String} line - Unfolded content line
+ * @returns {String} Folded line
+ */
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        // Continuation lines lose one octet to the leading space
+        if (octets + size > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+};
+
+/**
+ * Format an instant as an iCalendar UTC date-time
+ * @param {Date} date - Instant
+ * @returns {String} e.g. 20240131T093000Z
+ */
+const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Format wall-clock parts as an iCalendar local date-time
+ * @param {Object} parts - { year, month, day, hour, minute, second }
+ * @returns {String} e.g. 20240131T093000
+ */
+const formatLocal = ({ year, month, day, hour, minute, second = 0 }) =>
+    [year, month, day].map((n, i) => String(n).padStart(i === 0 ? 4 : 2, '0')).join('') +
+    'T' + [hour, minute, second].map(n => String(n).padStart(2, '0')).join('');
+
+/**
+ * Format a UTC offset for TZOFFSETFROM/TZOFFSETTO
+ * @param {Number} offset - Offset in milliseconds
+ * @returns {String} e.g. +0530
+ */
+const formatOffset = (offset) => {
+    const minutes = Math.round(Math.abs(offset) / (60 * 1000));
+    return `${offset < 0 ? '-' : '+'}${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Find the instants a timezone changes its UTC offset between two dates
+ * Offsets change at most once a day, so days are stepped through and each change is
+ * narrowed down to the minute.
+ * @param {String} timeZone - IANA timezone
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period
+ * @returns {Array} [{ at, from, to }] with offsets in milliseconds
+ */
+const findOffsetChanges = (timeZone, from, to) => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const MINUTE = 60 * 1000;
+    const changes = [];
+    let previous = getTimeZoneOffset(from, timeZone);
+
+    for (let time = from.getTime() + DAY; time <= to.getTime() + DAY; time += DAY) {
+        const offset = getTimeZoneOffset(new Date(time), timeZone);
+        if (offset === previous) {
+            continue;
+        }
+
+        let low = time - DAY;
+        let high = time;
+        while (high - low > MINUTE) {
+            const middle = low + Math.floor((high - low) / 2 / MINUTE) * MINUTE;
+            if (getTimeZoneOffset(new Date(middle), timeZone) === previous) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+
+        changes.push({ at: new Date(high), from: previous, to: offset });
+        previous = offset;
+    }
+
+    return changes;
+};
+
+/**
+ * Build a VTIMEZONE describing a timezone over the years its events fall in
+ * Each offset change is written as its own observance, taken from the runtime's
+ * timezone database, so no recurrence rules are needed.
+ * @param {String} timeZone - IANA timezone
+ * @param {Array} dates - Instants the calendar uses in this timezone
+ * @returns {Array} Content lines
+ */
+const buildTimeZone = (timeZone, dates) => {
+    const years = dates.map(date => date.getUTCFullYear());
+    const from = new Date(Date.UTC(Math.min(...years) - 1, 11, 1));
+    const to = new Date(Date.UTC(Math.max(...years) + 1, 0, 31));
+
+    const initial = getTimeZoneOffset(from, timeZone);
+    const changes = findOffsetChanges(timeZone, from, to);
+    const standardOffset = Math.min(initial, ...changes.map(c => c.to));
+
+    // An observance starts at the local time of the offset it replaces
+    const observance = (at, offsetFrom, offsetTo) => {
+        const type = offsetTo > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+        const local = new Date(at.getTime() + offsetFrom);
+        return [
+            `BEGIN:${type}`,
+            `DTSTART:${formatLocal({
+                year: local.getUTCFullYear(),
+                month: local.getUTCMonth() + 1,
+                day: local.getUTCDate(),
+                hour: local.getUTCHours(),
+                minute: local.getUTCMinutes()
+            })}`,
+            `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+            `TZOFFSETTO:${formatOffset(offsetTo)}`,
+            `END:${type}`
+        ];
+    };
+
+    return [
+        'BEGIN:VTIMEZONE',
+        `TZID:${timeZone}`,
+        ...observance(from, initial, initial),
+        ...changes.flatMap(change => observance(change.at, change.from, change.to)),
+        'END:VTIMEZONE'
+    ];
+};
+
+// Calendar statuses only cover tentative, confirmed and cancelled; finished appointments
+// get no STATUS and say how they ended in the summary and description instead
+const EVENT_STATUSES = {
+    pending: 'CONFIRMED',
+    'checked-in': 'CONFIRMED',
+    'in-progress': 'CONFIRMED',
+    cancelled: 'CANCELLED'
+};
+
+const OUTCOME_LABELS = {
+    completed: 'Completed',
+    'no-show': 'No-show'
+};
+
+/**
+ * Build a VEVENT for an appointment
+ * Times are local to the organization and reference its VTIMEZONE, which buildCalendar adds.
+ * @param {Object} appointment - Appointment document
+ * @param {Object} organization - Organization with organizationName, address, timezone and appointmentDuration
+ * @param {Object} text - { summary, description } shown in the calendar
+ * @returns {Object} { timeZone, start, lines } for buildCalendar
+ */
+const buildAppointmentEvent = (appointment, organization, { summary, description }) => {
+    const timeZone = organization.timezone;
+    const dateStr = toDateString(appointment.appointmentDate, timeZone);
+    const start = zonedTimeToUtc(dateStr, appointment.appointmentTime, timeZone);
+    const duration = appointment.duration || organization.appointmentDuration || 30;
+    const outcome = OUTCOME_LABELS[appointment.status];
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${appointment._id}@queue-management-system`,
+        `DTSTAMP:${formatUtc(new Date())}`,
+        `CREATED:${formatUtc(appointment.createdAt)}`,
+        `LAST-MODIFIED:${formatUtc(appointment.updatedAt || appointment.createdAt)}`,
+        // Every recorded change bumps the sequence so clients replace their copy
+        `SEQUENCE:${(appointment.history || []).length}`,
+        `DTSTART;TZID=${timeZone}:${formatLocal(getZonedParts(start, timeZone))}`,
+        // A duration rather than a local end time stays right across a DST change
+        `DURATION:PT${duration}M`,
+        `SUMMARY:${escapeText(outcome ? `${summary} (${outcome})` : summary)}`
+    ];
+
+    if (EVENT_STATUSES[appointment.status]) {
+        lines.push(`STATUS:${EVENT_STATUSES[appointment.status]}`);
+    }
+
+    const details = [description, outcome && `Outcome: ${outcome}`].filter(Boolean).join('\n');
+    if (details) {
+        lines.push(`DESCRIPTION:${escapeText(details)}`);
+    }
+    if (organization.address) {
+        lines.push(`LOCATION:${escapeText(organization.address)}`);
+    }
+
+    lines.push('END:VEVENT');
+    return { timeZone, start, lines };
+};
+
+/**
+ * Wrap events in a VCALENDAR, with a VTIMEZONE for every timezone they use
+ * @param {Array} events - Events from buildAppointmentEvent
+ * @param {String} name - Calendar name shown by subscribing clients
+ * @returns {String} iCalendar document
+ */
+const buildCalendar = (events, name) => {
+    const datesByTimeZone = new Map();
+    for (const event of events) {
+        if (!datesByTimeZone.has(event.timeZone)) {
+            datesByTimeZone.set(event.timeZone, []);
+        }
+        datesByTimeZone.get(event.timeZone).push(event.start);
+    }
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...(datesByTimeZone.size === 1 ? [`X-WR-TIMEZONE:${[...datesByTimeZone.keys()][0]}`] : []),
+        ...[...datesByTimeZone].flatMap(([timeZone, dates]) => buildTimeZone(timeZone, dates)),
+        ...events.flatMap(event => event.lines),
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Send an iCalendar document
+ * @param {Object} res - Express response
+ * @param {String} calendar - iCalendar document
+ * @param {String} filename - Download name; omit to serve inline for subscriptions
+ */
+const sendCalendar = (res, calendar, filename = null) => {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    if (filename) {
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    }
+    res.status(200).send(calendar);
+};
+
+module.exports = {
+    escapeText,
+    buildAppointmentEvent,
+    buildCalendar,
+    sendCalendar
+};
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+
+// Transports receive a message { to, subject, text } and deliver it. Pick one
+// with MAIL_TRANSPORT; console and file cover local development, and a real
+// provider can be plugged in with registerTransport at startup.
+const transports = {
+    console: async (message) => {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    },
+    file: async (message) => {
+        const file = path.resolve(process.env.MAIL_FILE || 'mail.log');
+        const entry = `[${new Date().toISOString()}] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n\n`;
+        await fs.promises.appendFile(file, entry);
+    }
+};
+
+/**
+ * Register a mail transport
+ * @param {String} name - Name selected through MAIL_TRANSPORT
+ * @param {Function} send - Async function called with { to, subject, text }
+ */
+const registerTransport = (name, send) => {
+    transports[name] = send;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text }
+ */
+const sendMail = async (message) => {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const transport = transports[name];
+
+    if (!transport) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    await transport(message);
+};
+
+module.exports = {
+    registerTransport,
+    sendMail
+};
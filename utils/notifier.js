@@ -0,0 +1,158 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const { sendMail } = require('./mailer');
+const { sendSms } = require('./sms');
+const { publishNotification } = require('./queueEvents');
+const { toDateString } = require('./dateUtils');
+
+// Fields every channel may need; select them when loading a user to notify
+const NOTIFY_USER_FIELDS = 'name email phone notificationPreferences';
+
+// Channels receive the user and a notification { type, title, message, appointmentId }.
+// Each one is used when the matching notificationPreferences flag is on; a channel
+// can be replaced (e.g. a real SMS gateway) with registerChannel at startup.
+const channels = {
+    email: async (user, notification) => {
+        await sendMail({
+            to: user.email,
+            subject: notification.title,
+            text: `Hi ${user.name},\n\n${notification.message}`
+        });
+    },
+    sms: async (user, notification) => {
+        if (!user.phone) {
+            return;
+        }
+        await sendSms({ to: user.phone, text: notification.message });
+    },
+    inApp: async (user, notification) => {
+        const saved = await Notification.create({
+            userId: user._id,
+            type: notification.type,
+            title: notification.title,
+            message: notification.message,
+            appointmentId: notification.appointmentId
+        });
+        publishNotification(user._id, saved);
+    }
+};
+
+/**
+ * Register a notification channel
+ * @param {String} name - Channel name, matching a notificationPreferences flag
+ * @param {Function} send - Async function called with (user, notification)
+ */
+const registerChannel = (name, send) => {
+    channels[name] = send;
+};
+
+/**
+ * Notify a user through every channel they have enabled
+ * Failures are logged, never thrown, so a notification can't break the action that caused it.
+ * @param {Object} user - User document loaded with NOTIFY_USER_FIELDS, or a user ID
+ * @param {Object} notification - { type, title, message, appointmentId }
+ */
+const notify = async (user, notification) => {
+    try {
+        const recipient = user.notificationPreferences
+            ? user
+            : await User.findById(user).select(NOTIFY_USER_FIELDS);
+        if (!recipient) {
+            return;
+        }
+
+        for (const [name, send] of Object.entries(channels)) {
+            if (!recipient.notificationPreferences[name]) {
+                continue;
+            }
+
+            try {
+                await send(recipient, notification);
+            } catch (error) {
+                console.error(`Notification ${name} channel error:`, error);
+            }
+        }
+    } catch (error) {
+        console.error('Notification error:', error);
+    }
+};
+
+/**
+ * Build the title and message for an appointment event
+ * @param {String} type - Notification type
+ * @param {Object} appointment - Appointment document
+ * @param {Object} organization - Organization document
+ * @returns {Object} { title, message }
+ */
+const describeAppointment = (type, appointment, organization) => {
+    const name = organization.organizationName;
+    const when = `${toDateString(appointment.appointmentDate, organization.timezone)} at ${appointment.appointmentTime}`;
+    const slot = `${appointment.serviceName} with ${appointment.expertName} on ${when}`;
+
+    switch (type) {
+        case 'appointment-booked':
+            return {
+                title: `Appointment booked at ${name}`,
+                message: `Your appointment for ${slot} is booked.`
+            };
+        case 'appointment-rescheduled':
+            return {
+                title: `Appointment rescheduled at ${name}`,
+                message: `Your appointment has been moved to ${slot}.`
+            };
+        case 'appointment-cancelled':
+            return {
+                title: `Appointment cancelled at ${name}`,
+                message: `Your appointment for ${slot} has been cancelled.`
+            };
+        case 'appointment-reminder':
+            return {
+                title: `Reminder: appointment at ${name}`,
+                message: `This is a reminder of your appointment for ${slot}.`
+            };
+        default:
+            return {
+                title: `Appointment update from ${name}`,
+                message: `Your appointment for ${slot} is now ${appointment.status}.`
+            };
+    }
+};
+
+/**
+ * Notify the booking user about an appointment event; walk-ins without an account are skipped
+ * @param {Object} appointment - Appointment document
+ * @param {String} type - appointment-booked, appointment-status, appointment-rescheduled,
+ *                        appointment-cancelled or appointment-reminder
+ * @param {Object} organization - Organization document, loaded if omitted
+ */
+const notifyAppointment = async (appointment, type, organization = null) => {
+    try {
+        if (!appointment.userId) {
+            return;
+        }
+
+        const organizationId = appointment.organizationId._id || appointment.organizationId;
+        if (!organization || !organization.timezone) {
+            organization = await Organization.findById(organizationId).select('organizationName timezone');
+        }
+        if (!organization) {
+            return;
+        }
+
+        await notify(appointment.userId, {
+            type,
+            ...describeAppointment(type, appointment, organization),
+            appointmentId: appointment._id
+        });
+    } catch (error) {
+        console.error('Appointment notification error:', error);
+    }
+};
+
+module.exports = {
+    NOTIFY_USER_FIELDS,
+    registerChannel,
+    notify,
+    notifyAppointment
+};
@@ -0,0 +1,92 @@
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Read page and limit query parameters
+ * @param {Object} query - Express request query
+ * @returns {Object} { page, limit, skip }
+ */
+const getPagination = (query) => {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Encode the sort values of the last item of a page as an opaque cursor
+ * @param {Object} doc - Last document of the page
+ * @param {Object} sort - Sort specification, ending in a unique field such as _id
+ * @returns {String} Cursor
+ */
+const encodeCursor = (doc, sort) => {
+    const values = Object.keys(sort).map(field => doc[field]);
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {String} cursor - Cursor from the previous page
+ * @param {Object} sort - Sort specification the cursor was built with
+ * @returns {Array|null} Sort values, or null if the cursor is malformed
+ */
+const decodeCursor = (cursor, sort) => {
+    try {
+        const values = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        return Array.isArray(values) && values.length === Object.keys(sort).length ? values : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Build the filter matching documents that come after a cursor in sort order
+ * Values are cast by Mongoose against the schema, so dates and ObjectIds may stay strings.
+ * @param {Object} sort - Sort specification
+ * @param {Array} values - Decoded cursor values
+ * @returns {Object} Query filter
+ */
+const buildCursorFilter = (sort, values) => {
+    const fields = Object.keys(sort);
+
+    return {
+        $or: fields.map((field, index) => {
+            const condition = {};
+            fields.slice(0, index).forEach((previous, i) => {
+                condition[previous] = values[i];
+            });
+            condition[field] = { [sort[field] === 1 ? '$gt' : '$lt']: values[index] };
+            return condition;
+        })
+    };
+};
+
+/**
+ * Fetch one page of a query using cursor pagination
+ * @param {Object} Model - Mongoose model
+ * @param {Object} filter - Query filter
+ * @param {Object} sort - Sort specification, ending in a unique field such as _id
+ * @param {Array|null} after - Decoded cursor to continue from
+ * @param {Number} limit - Page size
+ * @param {Array} populate - Populate options passed to the query
+ * @returns {Object} { items, total, nextCursor }
+ */
+const getCursorPage = async (Model, filter, sort, after, limit, populate = []) => {
+    const pageFilter = after ? { $and: [filter, buildCursorFilter(sort, after)] } : filter;
+
+    const [rows, total] = await Promise.all([
+        Model.find(pageFilter).populate(populate).sort(sort).limit(limit + 1),
+        Model.countDocuments(filter)
+    ]);
+
+    // One extra row tells whether another page follows
+    const items = rows.slice(0, limit);
+    const nextCursor = rows.length > limit ? encodeCursor(items[items.length - 1], sort) : null;
+
+    return { items, total, nextCursor };
+};
+
+module.exports = {
+    getPagination,
+    decodeCursor,
+    getCursorPage
+};
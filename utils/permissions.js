@@ -0,0 +1,83 @@
+const PERMISSIONS = {
+    EDIT_PROFILE: 'profile:edit',
+    VIEW_ANALYTICS: 'analytics:view',
+    MANAGE_SERVICES: 'services:manage',
+    MANAGE_STAFF: 'staff:manage',
+    MANAGE_QUEUE: 'queue:manage',
+    VIEW_APPOINTMENTS: 'appointments:view',
+    UPDATE_APPOINTMENTS: 'appointments:update'
+};
+
+// What each member of an organization may do. Experts are further limited to
+// appointments booked with them (see authorizeOrg).
+const ROLE_PERMISSIONS = {
+    owner: Object.values(PERMISSIONS),
+    receptionist: [
+        PERMISSIONS.MANAGE_QUEUE,
+        PERMISSIONS.VIEW_APPOINTMENTS,
+        PERMISSIONS.UPDATE_APPOINTMENTS
+    ],
+    expert: [
+        PERMISSIONS.VIEW_APPOINTMENTS,
+        PERMISSIONS.UPDATE_APPOINTMENTS
+    ]
+};
+
+/**
+ * Get a user's membership of an organization
+ * @param {Object} organization - Organization document
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Object|null} { role, expertName }, or null if the user is not a member
+ */
+const getMembership = (organization, user) => {
+    if (!organization || !user) {
+        return null;
+    }
+
+    const userId = user.id || user._id.toString();
+
+    if (organization.userId.toString() === userId) {
+        return { role: 'owner', expertName: null };
+    }
+
+    const member = (organization.staff || []).find(
+        s => s.status === 'active' && s.userId && s.userId.toString() === userId
+    );
+    if (!member) {
+        return null;
+    }
+
+    return {
+        role: member.role,
+        expertName: member.role === 'expert' ? member.expertName : null
+    };
+};
+
+/**
+ * Check a user may perform an action in an organization
+ * @param {Object} organization - Organization document
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {String} permission - One of PERMISSIONS
+ * @param {Object} appointment - Appointment acted on, to scope experts to their own
+ * @returns {Object|null} Membership if allowed, otherwise null
+ */
+const authorizeOrg = (organization, user, permission, appointment = null) => {
+    const membership = getMembership(organization, user);
+
+    if (!membership || !ROLE_PERMISSIONS[membership.role].includes(permission)) {
+        return null;
+    }
+
+    if (membership.expertName && appointment && appointment.expertName !== membership.expertName) {
+        return null;
+    }
+
+    return membership;
+};
+
+module.exports = {
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    getMembership,
+    authorizeOrg
+};
@@ -0,0 +1,117 @@
+const EventEmitter = require('events');
+
+// In-process pub/sub for live queue updates. Channels are `org:<id>` and
+// `user:<id>`; a single Node process needs no external broker.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+/**
+ * Subscribe to a channel
+ * @param {String} channel - Channel name, e.g. org:<id> or user:<id>
+ * @param {Function} listener - Called with each event object
+ * @returns {Function} Unsubscribe function
+ */
+const subscribe = (channel, listener) => {
+    emitter.on(channel, listener);
+    return () => emitter.off(channel, listener);
+};
+
+/**
+ * Build the public view of an appointment used in queue events
+ * @param {Object} appointment - Appointment document
+ * @returns {Object} Queue entry
+ */
+const toQueueEntry = (appointment) => ({
+    appointmentId: appointment._id.toString(),
+    expertName: appointment.expertName,
+    appointmentTime: appointment.appointmentTime,
+    tokenNumber: appointment.tokenNumber,
+    status: appointment.status,
+    queuePosition: appointment.queuePosition,
+    estimatedWaitTime: appointment.estimatedWaitTime
+});
+
+/**
+ * Get the owning user's id from an appointment, populated or not
+ * @param {Object} appointment - Appointment document
+ * @returns {String|null} User ID
+ */
+const getUserId = (appointment) => {
+    if (!appointment.userId) {
+        return null;
+    }
+    return (appointment.userId._id || appointment.userId).toString();
+};
+
+/**
+ * Broadcast the active queue of an organization's day
+ * @param {ObjectId} organizationId - Organization ID
+ * @param {Date} appointmentDate - Start of the day the queue belongs to
+ * @param {Array} appointments - Active appointments in queue order
+ */
+const publishQueueUpdate = (organizationId, appointmentDate, appointments) => {
+    const orgId = organizationId.toString();
+    const date = new Date(appointmentDate).toISOString();
+    const entries = appointments.map(toQueueEntry);
+
+    emitter.emit(`org:${orgId}`, {
+        type: 'queue',
+        organizationId: orgId,
+        date,
+        queue: entries
+    });
+
+    // Users only see their own entries
+    appointments.forEach((appointment, index) => {
+        const userId = getUserId(appointment);
+        if (userId) {
+            emitter.emit(`user:${userId}`, {
+                type: 'queue',
+                organizationId: orgId,
+                date,
+                queueLength: entries.length,
+                queue: [entries[index]]
+            });
+        }
+    });
+};
+
+/**
+ * Broadcast a status change of a single appointment
+ * @param {Object} appointment - Appointment document
+ */
+const publishStatusChange = (appointment) => {
+    const orgId = (appointment.organizationId._id || appointment.organizationId).toString();
+    const event = {
+        type: 'status',
+        organizationId: orgId,
+        date: new Date(appointment.appointmentDate).toISOString(),
+        ...toQueueEntry(appointment)
+    };
+
+    emitter.emit(`org:${orgId}`, event);
+
+    const userId = getUserId(appointment);
+    if (userId) {
+        emitter.emit(`user:${userId}`, event);
+    }
+};
+
+/**
+ * Push an in-app notification to a user's live stream
+ * @param {ObjectId} userId - User ID
+ * @param {Object} notification - Notification document
+ */
+const publishNotification = (userId, notification) => {
+    emitter.emit(`user:${userId.toString()}`, {
+        type: 'notification',
+        notification
+    });
+};
+
+module.exports = {
+    subscribe,
+    publishQueueUpdate,
+    publishStatusChange,
+    publishNotification
+};
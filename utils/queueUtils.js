@@ -1,30 +1,51 @@
 const Appointment = require('../models/Appointment');
+const Counter = require('../models/Counter');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { publishQueueUpdate } = require('./queueEvents');
+const { ACTIVE_STATUSES } = require('./appointmentStatus');
+const { DEFAULT_TIMEZONE, toDateString, addDays, getDayBounds, getDayName } = require('./dateUtils');
+
+/**
+ * Convert an HH:MM string to minutes since midnight
+ * @param {String} timeStr - Time (HH:MM)
+ * @returns {Number} Minutes since midnight
+ */
+const timeToMinutes = (timeStr) => {
+    const [hours, minutes] = timeStr.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes since midnight to an HH:MM string
+ * @param {Number} totalMinutes - Minutes since midnight
+ * @returns {String} Time (HH:MM)
+ */
+const minutesToTime = (totalMinutes) => {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
 
 /**
  * Calculate queue position for a new appointment
  * @param {ObjectId} organizationId - Organization ID
  * @param {Date} appointmentDate - Appointment date
  * @param {String} appointmentTime - Appointment time
+ * @param {String} timeZone - Organization's IANA timezone
  * @returns {Number} Queue position
  */
-const calculateQueuePosition = async (organizationId, appointmentDate, appointmentTime) => {
+const calculateQueuePosition = async (organizationId, appointmentDate, appointmentTime, timeZone = DEFAULT_TIMEZONE) => {
     try {
-        // Get the start of the day
-        const startOfDay = new Date(appointmentDate);
-        startOfDay.setHours(0, 0, 0, 0);
-
-        // Get the end of the day
-        const endOfDay = new Date(appointmentDate);
-        endOfDay.setHours(23, 59, 59, 999);
+        const { startOfDay, endOfDay } = getDayBounds(appointmentDate, timeZone);
 
-        // Count appointments for the same organization on the same day that are pending or in-progress
+        // Count appointments for the same organization on the same day that are still active
         const count = await Appointment.countDocuments({
             organizationId,
             appointmentDate: {
                 $gte: startOfDay,
                 $lte: endOfDay
             },
-            status: { $in: ['pending', 'in-progress'] }
+            status: { $in: ACTIVE_STATUSES }
         });
 
         return count + 1;
@@ -47,56 +68,77 @@ const calculateEstimatedWaitTime = (queuePosition, appointmentDuration = 30) =>
 };
 
 /**
- * Check if a time slot is available
- * @param {ObjectId} organizationId - Organization ID
+ * Check if a time slot is available for an online booking
+ * @param {Object} organization - Organization document
+ * @param {Object} expert - Expert subdocument
  * @param {Date} appointmentDate - Appointment date
  * @param {String} appointmentTime - Appointment time
- * @param {String} expertName - Expert name
- * @param {Number} reservedSlotsPerDay - Number of slots reserved for offline appointments
+ * @param {Number} duration - Length of the booked service in minutes
+ * @param {ObjectId} excludeAppointmentId - Appointment being rescheduled, ignored in the checks
+ * @param {ObjectId} excludeWaitlistId - Waitlist offer being claimed, ignored in the checks
  * @returns {Boolean} True if slot is available
  */
-const isSlotAvailable = async (organizationId, appointmentDate, appointmentTime, expertName, reservedSlotsPerDay = 0) => {
+const isSlotAvailable = async (organization, expert, appointmentDate, appointmentTime, duration, excludeAppointmentId = null, excludeWaitlistId = null) => {
     try {
-        const startOfDay = new Date(appointmentDate);
-        startOfDay.setHours(0, 0, 0, 0);
+        const timeZone = organization.timezone;
+
+        // Check the expert is working for the whole service (own hours, breaks and leave)
+        if (!isExpertWorking(organization, expert, appointmentDate, appointmentTime, duration)) {
+            return false;
+        }
 
-        const endOfDay = new Date(appointmentDate);
-        endOfDay.setHours(23, 59, 59, 999);
+        const { startOfDay, endOfDay } = getDayBounds(appointmentDate, timeZone);
+        const times = generateExpertTimeSlots(organization, expert, appointmentDate);
+        const occupiedSlots = getOccupiedSlots(times, appointmentTime, duration, organization.appointmentDuration);
 
-        // Check if there's already an appointment at this exact time with this expert
+        // Check if any slot the service covers is already held by this expert
         const existingAppointment = await Appointment.findOne({
-            organizationId,
+            organizationId: organization._id,
             appointmentDate: {
                 $gte: startOfDay,
                 $lte: endOfDay
             },
-            appointmentTime,
-            expertName,
-            status: { $in: ['pending', 'in-progress'] }
+            $or: [
+                { occupiedSlots: { $in: occupiedSlots } },
+                { appointmentTime: { $in: occupiedSlots } }
+            ],
+            expertName: expert.name,
+            status: { $in: ACTIVE_STATUSES },
+            ...(excludeAppointmentId && { _id: { $ne: excludeAppointmentId } })
         });
 
         if (existingAppointment) {
             return false; // Slot is already taken
         }
 
-        // Check if we've exceeded the daily capacity (accounting for reserved slots)
-        const totalAppointmentsToday = await Appointment.countDocuments({
-            organizationId,
+        // Slots offered to someone on the waitlist stay held until the offer expires
+        const heldByOffer = await WaitlistEntry.exists({
+            organizationId: organization._id,
+            expertName: expert.name,
             appointmentDate: {
                 $gte: startOfDay,
                 $lte: endOfDay
             },
-            expertName,
-            status: { $in: ['pending', 'in-progress'] }
+            status: 'offered',
+            'offer.expiresAt': { $gt: new Date() },
+            'offer.occupiedSlots': { $in: occupiedSlots },
+            ...(excludeWaitlistId && { _id: { $ne: excludeWaitlistId } })
         });
 
-        // If reserved slots are configured, check if we have capacity
-        // This prevents online bookings from taking all slots
-        if (reservedSlotsPerDay > 0) {
-            // We need to know the total slots per day to enforce this properly
-            // For now, we'll just ensure some slots remain available
-            // This can be enhanced with a maxSlotsPerDay field in the future
-            return true; // Allow booking (reserved slots are informational for now)
+        if (heldByOffer) {
+            return false;
+        }
+
+        // Check the expert still has online capacity left for every slot, keeping reserved slots for offline visitors
+        const usage = await getDailyUsage(organization._id, appointmentDate, excludeAppointmentId, timeZone);
+        const { onlineRemaining } = summarizeCapacity(
+            getExpertDailyCapacity(expert, times.length),
+            organization.reservedSlotsPerDay || 0,
+            usage[expert.name]
+        );
+
+        if (onlineRemaining < occupiedSlots.length) {
+            return false; // Online capacity used up for the day
         }
 
         return true; // Slot is available
@@ -107,70 +149,88 @@ const isSlotAvailable = async (organizationId, appointmentDate, appointmentTime,
 };
 
 /**
- * Check if appointment time is within working hours
+ * Get the working-hours entry that applies to a date
  * @param {Array} workingHours - Array of working hour objects
  * @param {Date} appointmentDate - Appointment date
- * @param {String} appointmentTime - Appointment time (HH:MM)
  * @param {Array} daysOff - Array of days off objects with date and reason
  * @param {Boolean} isCurrentlyOpen - Manual open/closed status
  * @param {Array} weeklyDaysOff - Array of weekly recurring days off
- * @returns {Boolean} True if within working hours
+ * @param {String} timeZone - Organization's IANA timezone
+ * @param {Boolean} quiet - Skip the logging of why the day is closed
+ * @returns {Object|null} Working hours entry, or null if closed that day
  */
-const isWithinWorkingHours = (workingHours, appointmentDate, appointmentTime, daysOff = [], isCurrentlyOpen = true, weeklyDaysOff = []) => {
-    try {
-        // Check if organization is manually closed
-        if (!isCurrentlyOpen) {
+const getScheduleForDate = (workingHours, appointmentDate, daysOff = [], isCurrentlyOpen = true, weeklyDaysOff = [], timeZone = DEFAULT_TIMEZONE, quiet = false) => {
+    // Check if organization is manually closed
+    if (!isCurrentlyOpen) {
+        if (!quiet) {
             console.log('Organization is manually closed');
-            return false;
         }
+        return null;
+    }
 
-        // Check if the date is a day off (timezone-safe comparison)
-        const appointmentDateObj = new Date(appointmentDate);
-        const appointmentDateStr = appointmentDateObj.toISOString().split('T')[0]; // "YYYY-MM-DD"
+    // Check if the date is a day off, comparing calendar dates in the organization's timezone
+    const appointmentDateStr = toDateString(appointmentDate, timeZone); // "YYYY-MM-DD"
 
-        const isDayOff = daysOff.some(dayOff => {
-            const dayOffDate = new Date(dayOff.date);
-            const dayOffDateStr = dayOffDate.toISOString().split('T')[0]; // "YYYY-MM-DD"
-            return dayOffDateStr === appointmentDateStr;
-        });
+    const isDayOff = daysOff.some(dayOff => {
+        // Days off are entered as calendar dates and stored at UTC midnight
+        const dayOffDateStr = new Date(dayOff.date).toISOString().split('T')[0]; // "YYYY-MM-DD"
+        return dayOffDateStr === appointmentDateStr;
+    });
 
-        if (isDayOff) {
+    if (isDayOff) {
+        if (!quiet) {
             console.log(`${appointmentDate} is marked as a day off`);
-            return false;
         }
+        return null;
+    }
 
-        const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-        const date = new Date(appointmentDate);
-        const dayName = dayNames[date.getDay()];
+    const dayName = getDayName(appointmentDate, timeZone);
 
-        // Check if day is in weekly days off
-        if (weeklyDaysOff && weeklyDaysOff.includes(dayName)) {
+    // Check if day is in weekly days off
+    if (weeklyDaysOff && weeklyDaysOff.includes(dayName)) {
+        if (!quiet) {
             console.log(`${dayName} is a weekly day off`);
-            return false;
         }
+        return null;
+    }
 
-        const schedule = workingHours.find(wh => wh.day === dayName && wh.isOpen);
+    const schedule = workingHours.find(wh => wh.day === dayName && wh.isOpen);
 
-        if (!schedule) {
+    if (!schedule) {
+        if (!quiet) {
             console.log(`No schedule found for ${dayName}`);
+        }
+        return null;
+    }
+
+    return schedule;
+};
+
+/**
+ * Check if appointment time is within working hours
+ * @param {Array} workingHours - Array of working hour objects
+ * @param {Date} appointmentDate - Appointment date
+ * @param {String} appointmentTime - Appointment time (HH:MM)
+ * @param {Array} daysOff - Array of days off objects with date and reason
+ * @param {Boolean} isCurrentlyOpen - Manual open/closed status
+ * @param {Array} weeklyDaysOff - Array of weekly recurring days off
+ * @param {String} timeZone - Organization's IANA timezone
+ * @returns {Boolean} True if within working hours
+ */
+const isWithinWorkingHours = (workingHours, appointmentDate, appointmentTime, daysOff = [], isCurrentlyOpen = true, weeklyDaysOff = [], timeZone = DEFAULT_TIMEZONE) => {
+    try {
+        const schedule = getScheduleForDate(workingHours, appointmentDate, daysOff, isCurrentlyOpen, weeklyDaysOff, timeZone);
+
+        if (!schedule) {
             return false;
         }
 
         // Convert times to minutes for accurate comparison
-        const timeToMinutes = (timeStr) => {
-            const [hours, minutes] = timeStr.split(':').map(Number);
-            return hours * 60 + minutes;
-        };
-
         const appointmentMinutes = timeToMinutes(appointmentTime);
         const startMinutes = timeToMinutes(schedule.startTime);
         const endMinutes = timeToMinutes(schedule.endTime);
 
-        const isWithin = appointmentMinutes >= startMinutes && appointmentMinutes <= endMinutes;
-
-        console.log(`Checking ${appointmentTime} against ${schedule.startTime}-${schedule.endTime}: ${isWithin}`);
-
-        return isWithin;
+        return appointmentMinutes >= startMinutes && appointmentMinutes <= endMinutes;
     } catch (error) {
         console.error('Error in isWithinWorkingHours:', error);
         return false;
@@ -178,42 +238,469 @@ const isWithinWorkingHours = (workingHours, appointmentDate, appointmentTime, da
 };
 
 /**
- * Update queue positions after status change
+ * Lay out consecutive slots in a working window, skipping breaks
+ * @param {Number} startMinutes - Window start in minutes since midnight
+ * @param {Number} endMinutes - Window end in minutes since midnight
+ * @param {Number} appointmentDuration - Duration per appointment in minutes
+ * @param {Array} breaks - Breaks with startTime and endTime (HH:MM)
+ * @returns {Array} Start times (HH:MM)
+ */
+const buildSlots = (startMinutes, endMinutes, appointmentDuration, breaks = []) => {
+    const slots = [];
+    let minutes = startMinutes;
+
+    // Only offer slots that finish before closing time
+    while (minutes + appointmentDuration <= endMinutes) {
+        const overlapping = breaks.find(b => overlapsBreak(minutes, minutes + appointmentDuration, b));
+
+        if (overlapping) {
+            // Resume right after the break
+            minutes = timeToMinutes(overlapping.endTime);
+            continue;
+        }
+
+        slots.push(minutesToTime(minutes));
+        minutes += appointmentDuration;
+    }
+
+    return slots;
+};
+
+/**
+ * Check if a time range overlaps a break
+ * @param {Number} startMinutes - Range start in minutes since midnight
+ * @param {Number} endMinutes - Range end in minutes since midnight
+ * @param {Object} breakTime - Break with startTime and endTime (HH:MM)
+ * @returns {Boolean} True if they overlap
+ */
+const overlapsBreak = (startMinutes, endMinutes, breakTime) =>
+    startMinutes < timeToMinutes(breakTime.endTime) && endMinutes > timeToMinutes(breakTime.startTime);
+
+/**
+ * Generate every bookable start time for a date
+ * @param {Array} workingHours - Array of working hour objects
+ * @param {Date} appointmentDate - Appointment date
+ * @param {Number} appointmentDuration - Duration per appointment in minutes
+ * @param {Array} daysOff - Array of days off objects with date and reason
+ * @param {Boolean} isCurrentlyOpen - Manual open/closed status
+ * @param {Array} weeklyDaysOff - Array of weekly recurring days off
+ * @param {String} timeZone - Organization's IANA timezone
+ * @returns {Array} Start times (HH:MM); empty if closed that day
+ */
+const generateTimeSlots = (workingHours, appointmentDate, appointmentDuration = 30, daysOff = [], isCurrentlyOpen = true, weeklyDaysOff = [], timeZone = DEFAULT_TIMEZONE) => {
+    const schedule = getScheduleForDate(workingHours, appointmentDate, daysOff, isCurrentlyOpen, weeklyDaysOff, timeZone);
+
+    if (!schedule) {
+        return [];
+    }
+
+    return buildSlots(timeToMinutes(schedule.startTime), timeToMinutes(schedule.endTime), appointmentDuration);
+};
+
+/**
+ * Get an expert's working window and breaks for a date
+ * Own weekly hours replace the organization's (clipped to them); leave and org closures still apply.
+ * @param {Object} organization - Organization document
+ * @param {Object} expert - Expert subdocument
+ * @param {Date} appointmentDate - Appointment date
+ * @param {Object} options - ignoreManualClosure to plan beyond a temporary closure, quiet to skip logging
+ * @returns {Object|null} { startTime, endTime, breaks }, or null if the expert is off that day
+ */
+const getExpertScheduleForDate = (organization, expert, appointmentDate, { ignoreManualClosure = false, quiet = false } = {}) => {
+    const timeZone = organization.timezone;
+    const orgSchedule = getScheduleForDate(
+        organization.workingHours,
+        appointmentDate,
+        organization.daysOff,
+        ignoreManualClosure || organization.isCurrentlyOpen,
+        organization.weeklyDaysOff,
+        timeZone,
+        quiet
+    );
+
+    if (!orgSchedule) {
+        return null;
+    }
+
+    // Leave is entered as calendar dates and stored at UTC midnight, like daysOff
+    const appointmentDateStr = toDateString(appointmentDate, timeZone);
+    const onLeave = (expert.leave || []).some(leave => {
+        const fromStr = new Date(leave.startDate).toISOString().split('T')[0];
+        const toStr = new Date(leave.endDate).toISOString().split('T')[0];
+        return fromStr <= appointmentDateStr && appointmentDateStr <= toStr;
+    });
+
+    if (onLeave) {
+        if (!quiet) {
+            console.log(`${expert.name} is on leave on ${appointmentDateStr}`);
+        }
+        return null;
+    }
+
+    const dayName = getDayName(appointmentDate, timeZone);
+    let startMinutes = timeToMinutes(orgSchedule.startTime);
+    let endMinutes = timeToMinutes(orgSchedule.endTime);
+
+    if (expert.workingHours && expert.workingHours.length > 0) {
+        const ownSchedule = expert.workingHours.find(wh => wh.day === dayName && wh.isOpen);
+
+        if (!ownSchedule) {
+            if (!quiet) {
+                console.log(`${expert.name} does not work on ${dayName}`);
+            }
+            return null;
+        }
+
+        startMinutes = Math.max(startMinutes, timeToMinutes(ownSchedule.startTime));
+        endMinutes = Math.min(endMinutes, timeToMinutes(ownSchedule.endTime));
+
+        if (startMinutes >= endMinutes) {
+            return null;
+        }
+    }
+
+    return {
+        startTime: minutesToTime(startMinutes),
+        endTime: minutesToTime(endMinutes),
+        breaks: (expert.breaks || []).filter(b => !b.day || b.day === dayName)
+    };
+};
+
+/**
+ * Check if an expert is working at a time, honoring own hours, breaks and leave
+ * @param {Object} organization - Organization document
+ * @param {Object} expert - Expert subdocument
+ * @param {Date} appointmentDate - Appointment date
+ * @param {String} appointmentTime - Appointment time (HH:MM)
+ * @param {Number} duration - Length of the appointment in minutes; defaults to appointmentDuration
+ * @returns {Boolean} True if the expert is working for the whole appointment
+ */
+const isExpertWorking = (organization, expert, appointmentDate, appointmentTime, duration = organization.appointmentDuration || 30) => {
+    const schedule = getExpertScheduleForDate(organization, expert, appointmentDate);
+
+    if (!schedule) {
+        return false;
+    }
+
+    const appointmentMinutes = timeToMinutes(appointmentTime);
+    const endMinutes = appointmentMinutes + duration;
+    if (appointmentMinutes < timeToMinutes(schedule.startTime) || endMinutes > timeToMinutes(schedule.endTime)) {
+        return false;
+    }
+
+    return !schedule.breaks.some(b => overlapsBreak(appointmentMinutes, endMinutes, b));
+};
+
+/**
+ * Get the slots an appointment covers
+ * @param {Array} times - The expert's slot start times for the day (HH:MM)
+ * @param {String} appointmentTime - Appointment start time (HH:MM)
+ * @param {Number} duration - Length of the appointment in minutes
+ * @param {Number} slotLength - Length of one slot (the organization's appointmentDuration)
+ * @returns {Array} Start times (HH:MM) of every slot the appointment overlaps
+ */
+const getOccupiedSlots = (times, appointmentTime, duration, slotLength = 30) => {
+    const startMinutes = timeToMinutes(appointmentTime);
+    const endMinutes = startMinutes + duration;
+
+    const occupied = times.filter(time => {
+        const slotStart = timeToMinutes(time);
+        return slotStart < endMinutes && slotStart + slotLength > startMinutes;
+    });
+
+    // Off-grid times still hold their own start time
+    return occupied.length > 0 ? occupied : [appointmentTime];
+};
+
+/**
+ * Generate every bookable start time of an expert for a date
+ * @param {Object} organization - Organization document
+ * @param {Object} expert - Expert subdocument
+ * @param {Date} appointmentDate - Appointment date
+ * @param {Object} options - Passed to getExpertScheduleForDate
+ * @returns {Array} Start times (HH:MM); empty if the expert is off that day
+ */
+const generateExpertTimeSlots = (organization, expert, appointmentDate, options = {}) => {
+    const schedule = getExpertScheduleForDate(organization, expert, appointmentDate, options);
+
+    if (!schedule) {
+        return [];
+    }
+
+    return buildSlots(
+        timeToMinutes(schedule.startTime),
+        timeToMinutes(schedule.endTime),
+        organization.appointmentDuration || 30,
+        schedule.breaks
+    );
+};
+
+/**
+ * Get the times already held by active appointments on a date, grouped by expert
  * @param {ObjectId} organizationId - Organization ID
  * @param {Date} appointmentDate - Appointment date
+ * @param {String} timeZone - Organization's IANA timezone
+ * @returns {Object} Map of expert name to a Set of taken times (HH:MM)
  */
-const updateQueuePositions = async (organizationId, appointmentDate) => {
-    try {
-        const startOfDay = new Date(appointmentDate);
-        startOfDay.setHours(0, 0, 0, 0);
+const getTakenSlots = async (organizationId, appointmentDate, timeZone = DEFAULT_TIMEZONE) => {
+    const { startOfDay, endOfDay } = getDayBounds(appointmentDate, timeZone);
+
+    const appointments = await Appointment.find({
+        organizationId,
+        appointmentDate: {
+            $gte: startOfDay,
+            $lte: endOfDay
+        },
+        status: { $in: ACTIVE_STATUSES }
+    }).select('expertName appointmentTime occupiedSlots');
+
+    const taken = {};
+    for (const appointment of appointments) {
+        if (!taken[appointment.expertName]) {
+            taken[appointment.expertName] = new Set();
+        }
+        taken[appointment.expertName].add(appointment.appointmentTime);
+        (appointment.occupiedSlots || []).forEach(time => taken[appointment.expertName].add(time));
+    }
+
+    // Open waitlist offers hold their slots too
+    const offers = await WaitlistEntry.find({
+        organizationId,
+        appointmentDate: {
+            $gte: startOfDay,
+            $lte: endOfDay
+        },
+        status: 'offered',
+        'offer.expiresAt': { $gt: new Date() }
+    }).select('expertName offer');
+
+    for (const entry of offers) {
+        if (!taken[entry.expertName]) {
+            taken[entry.expertName] = new Set();
+        }
+        entry.offer.occupiedSlots.forEach(time => taken[entry.expertName].add(time));
+    }
+
+    return taken;
+};
+
+/**
+ * Get an expert's total daily capacity
+ * @param {Object} expert - Expert subdocument
+ * @param {Number} slotCount - Number of the expert's slots for the day (see generateExpertTimeSlots)
+ * @returns {Number} Explicit dailyCapacity if set, otherwise the slot count
+ */
+const getExpertDailyCapacity = (expert, slotCount) => {
+    // A closed day has no capacity, whatever the expert's explicit setting
+    if (slotCount === 0) {
+        return 0;
+    }
+
+    return expert.dailyCapacity != null ? expert.dailyCapacity : slotCount;
+};
+
+/**
+ * Count active appointments on a date per expert, split by booking source
+ * @param {ObjectId} organizationId - Organization ID
+ * @param {Date} appointmentDate - Appointment date
+ * @param {ObjectId} excludeAppointmentId - Appointment to leave out of the counts
+ * @param {String} timeZone - Organization's IANA timezone
+ * @returns {Object} Map of expert name to { online, offline } slots used
+ */
+const getDailyUsage = async (organizationId, appointmentDate, excludeAppointmentId = null, timeZone = DEFAULT_TIMEZONE) => {
+    const { startOfDay, endOfDay } = getDayBounds(appointmentDate, timeZone);
+
+    const appointments = await Appointment.find({
+        organizationId,
+        appointmentDate: {
+            $gte: startOfDay,
+            $lte: endOfDay
+        },
+        status: { $in: ACTIVE_STATUSES },
+        ...(excludeAppointmentId && { _id: { $ne: excludeAppointmentId } })
+    }).select('expertName source occupiedSlots');
 
-        const endOfDay = new Date(appointmentDate);
-        endOfDay.setHours(23, 59, 59, 999);
+    const usage = {};
+    for (const appointment of appointments) {
+        if (!usage[appointment.expertName]) {
+            usage[appointment.expertName] = { online: 0, offline: 0 };
+        }
+        // Longer services use up several slots
+        const slotsUsed = (appointment.occupiedSlots && appointment.occupiedSlots.length) || 1;
+        usage[appointment.expertName][appointment.source === 'offline' ? 'offline' : 'online'] += slotsUsed;
+    }
 
-        // Get all pending and in-progress appointments for the day, sorted by creation time
+    return usage;
+};
+
+/**
+ * Split an expert's daily capacity into online and reserved (offline) parts
+ * @param {Number} capacity - Total slots for the day
+ * @param {Number} reservedSlotsPerDay - Slots held back for offline visitors
+ * @param {Object} usage - { online, offline } slots used by active appointments
+ * @returns {Object} Capacity breakdown with remaining online and reserved slots
+ */
+const summarizeCapacity = (capacity, reservedSlotsPerDay = 0, usage = { online: 0, offline: 0 }) => {
+    const reserved = Math.min(reservedSlotsPerDay, capacity);
+    const onlineCapacity = capacity - reserved;
+    const totalBooked = usage.online + usage.offline;
+
+    return {
+        capacity,
+        onlineCapacity,
+        reserved,
+        booked: { online: usage.online, offline: usage.offline },
+        onlineRemaining: Math.max(0, Math.min(onlineCapacity - usage.online, capacity - totalBooked)),
+        reservedRemaining: Math.max(0, Math.min(reserved, capacity - totalBooked))
+    };
+};
+
+/**
+ * Get the capacity breakdown of every expert for a date
+ * @param {Object} organization - Organization document
+ * @param {Date} appointmentDate - Appointment date
+ * @returns {Array} Per-expert capacity breakdown (see summarizeCapacity)
+ */
+const getDailyCapacity = async (organization, appointmentDate) => {
+    const usage = await getDailyUsage(organization._id, appointmentDate, null, organization.timezone);
+
+    return organization.experts.map(expert => ({
+        expertName: expert.name,
+        ...summarizeCapacity(
+            getExpertDailyCapacity(expert, generateExpertTimeSlots(organization, expert, appointmentDate).length),
+            organization.reservedSlotsPerDay || 0,
+            usage[expert.name]
+        )
+    }));
+};
+
+/**
+ * Get how many minutes each expert can be booked over a range of days
+ * Capacity follows the working schedule and each expert's dailyCapacity; a temporary
+ * manual closure is ignored so it doesn't wipe out past days, and unavailable experts count as zero.
+ * @param {Object} organization - Organization document
+ * @param {String} fromStr - First calendar date (YYYY-MM-DD)
+ * @param {String} toStr - Last calendar date (YYYY-MM-DD), inclusive
+ * @returns {Object} Map of expert name to bookable minutes
+ */
+const getBookableMinutes = (organization, fromStr, toStr) => {
+    const slotLength = organization.appointmentDuration || 30;
+    const minutes = {};
+
+    for (const expert of organization.experts) {
+        minutes[expert.name] = 0;
+    }
+
+    for (let dateStr = fromStr; dateStr <= toStr; dateStr = addDays(dateStr, 1)) {
+        const day = getDayBounds(dateStr, organization.timezone).startOfDay;
+        for (const expert of organization.experts) {
+            if (!expert.available) {
+                continue;
+            }
+
+            const slotCount = generateExpertTimeSlots(organization, expert, day, { ignoreManualClosure: true, quiet: true }).length;
+            minutes[expert.name] += getExpertDailyCapacity(expert, slotCount) * slotLength;
+        }
+    }
+
+    return minutes;
+};
+
+/**
+ * Find the first start time, not yet over, whose slots are all free for a service
+ * @param {Array} times - Slot start times for the day (HH:MM)
+ * @param {Set} takenTimes - Start times already held
+ * @param {Number} fromMinutes - Current time in minutes since midnight
+ * @param {Number} duration - Length of the service in minutes
+ * @param {Number} slotLength - Length of one slot (the organization's appointmentDuration)
+ * @returns {String|null} Start time (HH:MM), or null if none are left
+ */
+const getNextFreeSlot = (times, takenTimes, fromMinutes, duration = 30, slotLength = 30) => {
+    const lastEnd = times.length > 0 ? timeToMinutes(times[times.length - 1]) + slotLength : 0;
+
+    const slot = times.find(time => {
+        const startMinutes = timeToMinutes(time);
+        if (startMinutes + slotLength <= fromMinutes || startMinutes + duration > lastEnd) {
+            return false;
+        }
+        return getOccupiedSlots(times, time, duration, slotLength).every(t => !takenTimes.has(t));
+    });
+    return slot || null;
+};
+
+/**
+ * Issue the next walk-in token number for an organization's day
+ * @param {ObjectId} organizationId - Organization ID
+ * @param {Date} appointmentDate - Appointment date
+ * @param {String} timeZone - Organization's IANA timezone
+ * @returns {Number} Token number, starting at 1 each day
+ */
+const getNextTokenNumber = async (organizationId, appointmentDate, timeZone = DEFAULT_TIMEZONE) => {
+    const counter = await Counter.findOneAndUpdate(
+        { key: `token:${organizationId}:${toDateString(appointmentDate, timeZone)}` },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+
+    return counter.seq;
+};
+
+/**
+ * Update queue positions after status change and broadcast the new queue
+ * @param {ObjectId} organizationId - Organization ID
+ * @param {Date} appointmentDate - Appointment date
+ * @param {Number} appointmentDuration - Duration of appointments booked without a service duration
+ * @param {String} timeZone - Organization's IANA timezone
+ */
+const updateQueuePositions = async (organizationId, appointmentDate, appointmentDuration = 30, timeZone = DEFAULT_TIMEZONE) => {
+    try {
+        const { startOfDay, endOfDay } = getDayBounds(appointmentDate, timeZone);
+
+        // Get all active appointments for the day, sorted by creation time
         const appointments = await Appointment.find({
             organizationId,
             appointmentDate: {
                 $gte: startOfDay,
                 $lte: endOfDay
             },
-            status: { $in: ['pending', 'in-progress'] }
+            status: { $in: ACTIVE_STATUSES }
         }).sort({ createdAt: 1 });
 
-        // Update queue positions
+        // Update queue positions; each wait is the sum of the service durations ahead
+        let waitTime = 0;
         for (let i = 0; i < appointments.length; i++) {
             appointments[i].queuePosition = i + 1;
+            appointments[i].estimatedWaitTime = waitTime;
             await appointments[i].save();
+            waitTime += appointments[i].duration || appointmentDuration;
         }
+
+        publishQueueUpdate(organizationId, startOfDay, appointments);
     } catch (error) {
         console.error('Error updating queue positions:', error);
     }
 };
 
 module.exports = {
+    timeToMinutes,
+    minutesToTime,
     calculateQueuePosition,
     calculateEstimatedWaitTime,
     isSlotAvailable,
+    getScheduleForDate,
     isWithinWorkingHours,
+    generateTimeSlots,
+    getExpertScheduleForDate,
+    isExpertWorking,
+    getOccupiedSlots,
+    generateExpertTimeSlots,
+    getTakenSlots,
+    getExpertDailyCapacity,
+    getDailyUsage,
+    summarizeCapacity,
+    getDailyCapacity,
+    getBookableMinutes,
+    getNextFreeSlot,
+    getNextTokenNumber,
     updateQueuePositions
 };
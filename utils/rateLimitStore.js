@@ -0,0 +1,53 @@
+// Fixed-window hit counters for rate limiting. Any store exposing the same
+// async increment/reset methods (e.g. one backed by Redis) can be passed to the
+// rate limit middleware to share counters between processes.
+class MemoryStore {
+    constructor(sweepIntervalMs = 60 * 1000) {
+        this.hits = new Map();
+
+        // Drop expired windows so idle keys don't pile up
+        this.timer = setInterval(() => {
+            const now = Date.now();
+            for (const [key, entry] of this.hits) {
+                if (entry.resetAt <= now) {
+                    this.hits.delete(key);
+                }
+            }
+        }, sweepIntervalMs);
+        this.timer.unref();
+    }
+
+    /**
+     * Count a hit against a key
+     * @param {String} key - Counter key
+     * @param {Number} windowMs - Window length in milliseconds
+     * @returns {Object} { count, resetAt } for the current window
+     */
+    async increment(key, windowMs) {
+        const now = Date.now();
+        let entry = this.hits.get(key);
+
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            this.hits.set(key, entry);
+        }
+
+        entry.count += 1;
+        return { count: entry.count, resetAt: entry.resetAt };
+    }
+
+    /**
+     * Clear the counter of a key
+     * @param {String} key - Counter key
+     */
+    async reset(key) {
+        this.hits.delete(key);
+    }
+}
+
+const defaultStore = new MemoryStore();
+
+module.exports = {
+    MemoryStore,
+    defaultStore
+};
@@ -0,0 +1,87 @@
+const Appointment = require('../models/Appointment');
+const { notifyAppointment, NOTIFY_USER_FIELDS } = require('./notifier');
+const { toDateString, zonedTimeToUtc } = require('./dateUtils');
+
+// Minutes before the start at which reminders go out, e.g. "1440,60" for a day and an hour before
+const REMINDER_OFFSETS_MINUTES = (process.env.REMINDER_OFFSETS_MINUTES || '1440,60')
+    .split(',')
+    .map(Number)
+    .filter(minutes => minutes > 0);
+
+/**
+ * Send reminders that have come due for upcoming pending appointments
+ * An appointment booked late only gets the closest reminder; the earlier ones are marked sent.
+ */
+const sendDueReminders = async () => {
+    try {
+        if (REMINDER_OFFSETS_MINUTES.length === 0) {
+            return;
+        }
+
+        const now = Date.now();
+        const maxOffset = Math.max(...REMINDER_OFFSETS_MINUTES);
+
+        // Days are stored as their local start; pad a day each side for timezones
+        const appointments = await Appointment.find({
+            status: 'pending',
+            userId: { $exists: true },
+            appointmentDate: {
+                $gte: new Date(now - 24 * 60 * 60 * 1000),
+                $lte: new Date(now + (maxOffset + 24 * 60) * 60 * 1000)
+            },
+            remindersSent: { $not: { $all: REMINDER_OFFSETS_MINUTES } }
+        })
+            .populate('organizationId', 'organizationName timezone')
+            .populate('userId', NOTIFY_USER_FIELDS);
+
+        for (const appointment of appointments) {
+            const organization = appointment.organizationId;
+            if (!organization || !appointment.userId) {
+                continue;
+            }
+
+            const timeZone = organization.timezone;
+            const start = zonedTimeToUtc(toDateString(appointment.appointmentDate, timeZone), appointment.appointmentTime, timeZone).getTime();
+            if (start <= now) {
+                continue;
+            }
+
+            const due = REMINDER_OFFSETS_MINUTES.filter(minutes =>
+                start - minutes * 60 * 1000 <= now && !appointment.remindersSent.includes(minutes)
+            );
+            if (due.length === 0) {
+                continue;
+            }
+
+            // Mark the reminders sent first so two workers can't both send them
+            const claimed = await Appointment.updateOne(
+                { _id: appointment._id, status: 'pending', remindersSent: { $nin: due } },
+                { $addToSet: { remindersSent: { $each: due } } }
+            );
+            if (claimed.modifiedCount === 0 || !appointment.userId.notificationPreferences.reminders) {
+                continue;
+            }
+
+            await notifyAppointment(appointment, 'appointment-reminder', organization);
+        }
+    } catch (error) {
+        console.error('Reminder scheduler error:', error);
+    }
+};
+
+/**
+ * Periodically send due appointment reminders
+ * @param {Number} intervalMs - Time between runs
+ * @returns {Object} Interval handle
+ */
+const startReminderScheduler = (intervalMs = 60 * 1000) => {
+    const timer = setInterval(sendDueReminders, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    REMINDER_OFFSETS_MINUTES,
+    sendDueReminders,
+    startReminderScheduler
+};
@@ -0,0 +1,18 @@
+/**
+ * Escape user input for use inside a regular expression
+ * @param {String} value - Raw search text
+ * @returns {String} Escaped text
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build a case-insensitive "contains" pattern from user input
+ * @param {String} value - Raw search text
+ * @returns {RegExp} Pattern
+ */
+const containsPattern = (value) => new RegExp(escapeRegex(value.trim()), 'i');
+
+module.exports = {
+    escapeRegex,
+    containsPattern
+};
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+
+// Transports receive a message { to, text } and deliver it. Pick one with
+// SMS_TRANSPORT; console and file cover local development, and a real
+// provider can be plugged in with registerTransport at startup.
+const transports = {
+    console: async (message) => {
+        console.log(`📱 SMS to ${message.to}: ${message.text}`);
+    },
+    file: async (message) => {
+        const file = path.resolve(process.env.SMS_FILE || 'sms.log');
+        const entry = `[${new Date().toISOString()}] To: ${message.to}\n${message.text}\n\n`;
+        await fs.promises.appendFile(file, entry);
+    }
+};
+
+/**
+ * Register an SMS transport
+ * @param {String} name - Name selected through SMS_TRANSPORT
+ * @param {Function} send - Async function called with { to, text }
+ */
+const registerTransport = (name, send) => {
+    transports[name] = send;
+};
+
+/**
+ * Send a text message through the configured transport
+ * @param {Object} message - { to, text }
+ */
+const sendSms = async (message) => {
+    const name = process.env.SMS_TRANSPORT || 'console';
+    const transport = transports[name];
+
+    if (!transport) {
+        throw new Error(`Unknown SMS transport: ${name}`);
+    }
+
+    await transport(message);
+};
+
+module.exports = {
+    registerTransport,
+    sendSms
+};
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+/**
+ * Hash a random token for storage
+ * @param {String} token - Raw token
+ * @returns {String} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generate a random token for use in links
+ * @returns {Object} { token, tokenHash } - only the hash is stored
+ */
+const generateToken = () => {
+    const token = crypto.randomBytes(32).toString('hex');
+    return { token, tokenHash: hashToken(token) };
+};
+
+/**
+ * Generate a single-use token for links sent by email
+ * @param {Number} minutes - Minutes until the token expires
+ * @returns {Object} { token, tokenHash, expiresAt } - only the hash is stored
+ */
+const generateOneTimeToken = (minutes) => {
+    return {
+        ...generateToken(),
+        expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+    };
+};
+
+/**
+ * Generate a short-lived access token
+ * @param {Object} user - User document
+ * @returns {String} Signed JWT
+ */
+const generateAccessToken = (user) => {
+    return jwt.sign({ id: user._id, tv: user.tokenVersion || 0 }, process.env.JWT_SECRET, {
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    });
+};
+
+/**
+ * Issue a new refresh token
+ * @param {Object} user - User document
+ * @param {Object} req - Express request, for user agent and IP
+ * @param {String} family - Family to continue; a new one is started if omitted
+ * @returns {Object} { token, record } with the raw token and its stored record
+ */
+const issueRefreshToken = async (user, req, family = crypto.randomUUID()) => {
+    const token = crypto.randomBytes(48).toString('hex');
+
+    const record = await RefreshToken.create({
+        userId: user._id,
+        tokenHash: hashToken(token),
+        family,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+        userAgent: req.get('User-Agent'),
+        ip: req.ip
+    });
+
+    return { token, record };
+};
+
+/**
+ * Issue an access token and a new refresh token family for a user
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @returns {Object} { token, refreshToken }
+ */
+const issueTokens = async (user, req) => {
+    const { token: refreshToken } = await issueRefreshToken(user, req);
+    return { token: generateAccessToken(user), refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new pair, revoking the old one
+ * Presenting an already revoked token means it leaked, so its whole family is revoked.
+ * @param {String} token - Raw refresh token
+ * @param {Object} req - Express request
+ * @returns {Object|null} { user, token, refreshToken }, or null if the token is not usable
+ */
+const rotateRefreshToken = async (token, req) => {
+    const record = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+
+    if (!record) {
+        return null;
+    }
+
+    if (record.revokedAt) {
+        await RefreshToken.updateMany(
+            { family: record.family, revokedAt: { $exists: false } },
+            { $set: { revokedAt: new Date() } }
+        );
+        return null;
+    }
+
+    if (record.expiresAt < new Date()) {
+        return null;
+    }
+
+    const user = await User.findById(record.userId);
+    if (!user || user.status === 'suspended') {
+        return null;
+    }
+
+    // Revoke only if nobody rotated it in the meantime
+    const claimed = await RefreshToken.findOneAndUpdate(
+        { _id: record._id, revokedAt: { $exists: false } },
+        { $set: { revokedAt: new Date() } }
+    );
+    if (!claimed) {
+        return null;
+    }
+
+    const { token: next, record: nextRecord } = await issueRefreshToken(user, req, record.family);
+    await RefreshToken.updateOne({ _id: record._id }, { $set: { replacedByHash: nextRecord.tokenHash } });
+
+    return { user, token: generateAccessToken(user), refreshToken: next };
+};
+
+/**
+ * Revoke a single refresh token
+ * @param {String} token - Raw refresh token
+ * @returns {Object|null} The revoked record, or null if unknown
+ */
+const revokeRefreshToken = async (token) => {
+    return RefreshToken.findOneAndUpdate(
+        { tokenHash: hashToken(token) },
+        { $set: { revokedAt: new Date() } }
+    );
+};
+
+/**
+ * Log a user out everywhere: revoke all refresh tokens and invalidate issued access tokens
+ * @param {ObjectId} userId - User ID
+ */
+const revokeAllSessions = async (userId) => {
+    await RefreshToken.updateMany(
+        { userId, revokedAt: { $exists: false } },
+        { $set: { revokedAt: new Date() } }
+    );
+    await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+};
+
+module.exports = {
+    hashToken,
+    generateToken,
+    generateOneTimeToken,
+    generateAccessToken,
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAllSessions
+};
@@ -0,0 +1,242 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Organization = require('../models/Organization');
+const { generateExpertTimeSlots, getOccupiedSlots, getTakenSlots, timeToMinutes } = require('./queueUtils');
+const { getSlotsToHold, validateSlot, createOnlineAppointment } = require('./bookingUtils');
+const { toDateString, getDayBounds, getMinutesOfDay } = require('./dateUtils');
+const { notify, NOTIFY_USER_FIELDS } = require('./notifier');
+
+const WAITLIST_OFFER_MINUTES = Number(process.env.WAITLIST_OFFER_MINUTES) || 30;
+
+/**
+ * Find a bookable time for a waitlist entry
+ * @param {Object} organization - Organization document
+ * @param {Object} entry - Waitlist entry
+ * @returns {String|null} Time (HH:MM), or null if nothing suitable is free
+ */
+const findSlotForEntry = async (organization, entry) => {
+    if (entry.appointmentTime) {
+        const slotError = await validateSlot(organization, entry.appointmentDate, entry.appointmentTime, entry.expertName, entry.duration);
+        return slotError ? null : entry.appointmentTime;
+    }
+
+    const expert = organization.experts.find(e => e.name === entry.expertName);
+    if (!expert) {
+        return null;
+    }
+
+    const timeZone = organization.timezone;
+    const now = new Date();
+    const fromMinutes = toDateString(entry.appointmentDate, timeZone) === toDateString(now, timeZone)
+        ? getMinutesOfDay(now, timeZone)
+        : 0;
+
+    const times = generateExpertTimeSlots(organization, expert, entry.appointmentDate);
+    const taken = (await getTakenSlots(organization._id, entry.appointmentDate, timeZone))[expert.name] || new Set();
+
+    // Cheap checks against taken slots first; validateSlot has the final say
+    for (const time of times) {
+        if (timeToMinutes(time) < fromMinutes) {
+            continue;
+        }
+
+        const slots = getOccupiedSlots(times, time, entry.duration, organization.appointmentDuration);
+        if (slots.some(t => taken.has(t))) {
+            continue;
+        }
+
+        const slotError = await validateSlot(organization, entry.appointmentDate, time, entry.expertName, entry.duration);
+        if (!slotError) {
+            return time;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Book a waitlist entry into a slot and mark it booked
+ * The entry is claimed first, moving it from its loaded status (waiting, or an unexpired
+ * offer) to booked, so concurrent promotions or a claim racing the sweeper book it once.
+ * @param {Object} organization - Organization document
+ * @param {Object} entry - Waitlist entry with userId populated
+ * @param {String} appointmentTime - Time (HH:MM) that passed validateSlot
+ * @returns {Object|null} Created appointment, or null if the entry was taken meanwhile
+ */
+const bookWaitlistEntry = async (organization, entry, appointmentTime) => {
+    const claimQuery = { _id: entry._id, status: entry.status };
+    if (entry.status === 'offered') {
+        claimQuery['offer.expiresAt'] = { $gt: new Date() };
+    }
+
+    const claimed = await WaitlistEntry.findOneAndUpdate(
+        claimQuery,
+        { $set: { status: 'booked', updatedAt: Date.now() } }
+    );
+    if (!claimed) {
+        return null;
+    }
+
+    let appointment;
+    try {
+        appointment = await createOnlineAppointment(organization, entry.userId, {
+            expertName: entry.expertName,
+            service: { _id: entry.serviceId, name: entry.serviceName, duration: entry.duration },
+            appointmentDate: entry.appointmentDate,
+            appointmentTime,
+            notes: entry.notes
+        }, 'Booked from waitlist');
+    } catch (error) {
+        // Release the claim so the entry keeps its place in line
+        await WaitlistEntry.updateOne(
+            { _id: entry._id, status: 'booked', appointmentId: { $exists: false } },
+            { $set: { status: claimed.status, updatedAt: Date.now() } }
+        );
+        throw error;
+    }
+
+    await WaitlistEntry.updateOne({ _id: entry._id }, { $set: { appointmentId: appointment._id } });
+    entry.status = 'booked';
+    entry.appointmentId = appointment._id;
+
+    return appointment;
+};
+
+/**
+ * Hand freed slots to waiting users of an expert's day, first come first served
+ * Auto-book entries get the appointment straight away; the others get an offer
+ * that holds the slot for WAITLIST_OFFER_MINUTES.
+ * @param {ObjectId} organizationId - Organization ID
+ * @param {String} expertName - Expert name
+ * @param {Date} appointmentDate - Day a slot was freed on
+ */
+const promoteWaitlist = async (organizationId, expertName, appointmentDate) => {
+    try {
+        const organization = await Organization.findById(organizationId);
+        if (!organization || organization.status === 'suspended') {
+            return;
+        }
+
+        const { startOfDay, endOfDay } = getDayBounds(appointmentDate, organization.timezone);
+        const entries = await WaitlistEntry.find({
+            organizationId,
+            expertName,
+            appointmentDate: { $gte: startOfDay, $lte: endOfDay },
+            status: 'waiting'
+        })
+            .sort({ createdAt: 1 })
+            .populate('userId', `${NOTIFY_USER_FIELDS} role`);
+
+        for (const entry of entries) {
+            const appointmentTime = await findSlotForEntry(organization, entry);
+            if (!appointmentTime) {
+                continue;
+            }
+
+            const dateStr = toDateString(entry.appointmentDate, organization.timezone);
+
+            if (entry.autoBook) {
+                try {
+                    // null means a concurrent promotion already booked this entry
+                    if (!await bookWaitlistEntry(organization, entry, appointmentTime)) {
+                        continue;
+                    }
+                } catch (error) {
+                    // Someone else took the slot first; the next freed slot will try again
+                    if (error.code === 11000) {
+                        continue;
+                    }
+                    throw error;
+                }
+
+                await notify(entry.userId, {
+                    type: 'waitlist-booked',
+                    title: `Booked from the waitlist at ${organization.organizationName}`,
+                    message: `A slot opened up and you have been booked with ${entry.expertName} on ${dateStr} at ${appointmentTime}.`,
+                    appointmentId: entry.appointmentId
+                });
+                continue;
+            }
+
+            // Claim the entry so a concurrent promotion can't offer it twice
+            const offered = await WaitlistEntry.findOneAndUpdate(
+                { _id: entry._id, status: 'waiting' },
+                {
+                    $set: {
+                        status: 'offered',
+                        offer: {
+                            appointmentTime,
+                            occupiedSlots: getSlotsToHold(organization, expertName, entry.appointmentDate, appointmentTime, entry.duration),
+                            offeredAt: new Date(),
+                            expiresAt: new Date(Date.now() + WAITLIST_OFFER_MINUTES * 60 * 1000)
+                        },
+                        updatedAt: Date.now()
+                    }
+                },
+                { new: true }
+            );
+
+            if (offered) {
+                await notify(entry.userId, {
+                    type: 'waitlist-offer',
+                    title: `A slot opened up at ${organization.organizationName}`,
+                    message: `A slot with ${entry.expertName} on ${dateStr} at ${appointmentTime} is being held for you for ${WAITLIST_OFFER_MINUTES} minutes. Claim it from your waitlist before it goes to the next person.`
+                });
+            }
+        }
+    } catch (error) {
+        console.error('Waitlist promotion error:', error);
+    }
+};
+
+/**
+ * Expire unclaimed offers and pass their slots on, and close entries for days that are over
+ */
+const expireWaitlistOffers = async () => {
+    try {
+        const expired = await WaitlistEntry.find({
+            status: 'offered',
+            'offer.expiresAt': { $lte: new Date() }
+        }).select('organizationId expertName appointmentDate');
+
+        for (const entry of expired) {
+            const claimed = await WaitlistEntry.findOneAndUpdate(
+                { _id: entry._id, status: 'offered' },
+                { $set: { status: 'expired', updatedAt: Date.now() } }
+            );
+
+            if (claimed) {
+                await promoteWaitlist(entry.organizationId, entry.expertName, entry.appointmentDate);
+            }
+        }
+
+        // Days are stored as their local start, and no local day lasts more than 25 hours
+        await WaitlistEntry.updateMany(
+            {
+                status: 'waiting',
+                appointmentDate: { $lt: new Date(Date.now() - 25 * 60 * 60 * 1000) }
+            },
+            { $set: { status: 'expired', updatedAt: Date.now() } }
+        );
+    } catch (error) {
+        console.error('Waitlist expiry error:', error);
+    }
+};
+
+/**
+ * Periodically expire unclaimed waitlist offers
+ * @param {Number} intervalMs - Time between sweeps
+ * @returns {Object} Interval handle
+ */
+const startWaitlistSweeper = (intervalMs = 60 * 1000) => {
+    const timer = setInterval(expireWaitlistOffers, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    findSlotForEntry,
+    bookWaitlistEntry,
+    promoteWaitlist,
+    expireWaitlistOffers,
+    startWaitlistSweeper
+};